@@ -0,0 +1,83 @@
+/**
+ * Benchmarks
+ *
+ * Times the srcset parser on inputs of growing size, to check that parsing
+ * stays linear: the time per megabyte should stay about the same as inputs
+ * grow. (parseSrcsetLoose runs the same parser as parseSrcset, and doesn't
+ * throw on the invalid descriptor of the last case)
+ *
+ * Run with `npm run benchmark`.
+ */
+
+import { parseSrcsetLoose } from "./index.js";
+
+const megabyte = 1024 * 1024;
+const sizes = [1, 2, 4, 8];
+const runs = 5;
+
+// (Each case builds an input of about the given length)
+const cases = {
+  "many candidates"(length) {
+    const candidates = [];
+    let total = 0;
+
+    for (let i = 1; total < length; i++) {
+      const candidate = `image-${i}.jpg ${i}w`;
+      candidates.push(candidate);
+      total += candidate.length + 2;
+    }
+
+    return candidates.join(", ");
+  },
+
+  "long data: URL"(length) {
+    return `data:image/png;base64,${"A".repeat(length)} 1x, fallback.png 2x`;
+  },
+
+  "long descriptor in parens"(length) {
+    return `a.jpg 1x, b.jpg (${"x ".repeat(length / 2)}), c.jpg 2x`;
+  },
+};
+
+/**
+ * Times one parse of input, keeping the fastest of several runs.
+ * Returns milliseconds.
+ */
+function time(input) {
+  let fastest = Infinity;
+
+  // (One more run than counted, to warm up)
+  for (let i = 0; i <= runs; i++) {
+    const start = performance.now();
+    parseSrcsetLoose(input);
+    const duration = performance.now() - start;
+
+    if (i > 0) {
+      fastest = Math.min(fastest, duration);
+    }
+  }
+
+  return fastest;
+}
+
+const rows = [];
+
+for (const [name, build] of Object.entries(cases)) {
+  let baseline;
+
+  for (const size of sizes) {
+    const input = build(size * megabyte);
+    const perMegabyte = time(input) / (input.length / megabyte);
+    baseline = baseline || perMegabyte;
+
+    rows.push({
+      case: name,
+      "size (MB)": size,
+      "ms/MB": Number(perMegabyte.toFixed(2)),
+      // (Stays close to 1 when parsing is linear)
+      "vs 1 MB": Number((perMegabyte / baseline).toFixed(2)),
+    });
+  }
+}
+
+console.table(rows);
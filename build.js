@@ -0,0 +1,165 @@
+/**
+ * Srcset Builder
+ *
+ * Builds a srcset from a URL template, like "/img/hero-{w}.jpg", and a list of
+ * widths or densities.
+ */
+
+import parseSrcset from "./index.js";
+import { stringifySrcset } from "./stringify.js";
+
+/**
+ * Adds query to the query string of url, before its fragment if any.
+ * Returns a string.
+ */
+function appendQuery(url, query) {
+  const hash = url.indexOf("#");
+  const base = hash === -1 ? url : url.slice(0, hash);
+  const fragment = hash === -1 ? "" : url.slice(hash);
+
+  return `${base}${base.includes("?") ? "&" : "?"}${query}${fragment}`;
+}
+
+/**
+ * Adds a transformation to a Cloudinary delivery URL, after "/upload/".
+ * Returns a string.
+ */
+function appendTransformation(url, transformation) {
+  if (!url.includes("/upload/")) {
+    throw new TypeError(
+      `"${url}" must be a Cloudinary delivery URL, with "/upload/" in its path.`
+    );
+  }
+
+  return url.replace("/upload/", `/upload/${transformation}/`);
+}
+
+// (Each preset turns the URL of the original image into a template for widths,
+// {w}, and for densities, {x}, when the CDN supports them)
+const presets = {
+  // https://docs.imgix.com/apis/rendering/size
+  imgix: {
+    w: (src) => appendQuery(src, "w={w}"),
+    x: (src) => appendQuery(src, "dpr={x}"),
+  },
+  // https://cloudinary.com/documentation/transformation_reference
+  cloudinary: {
+    w: (src) => appendTransformation(src, "w_{w}"),
+    x: (src) => appendTransformation(src, "dpr_{x}"),
+  },
+  // https://docs.imagekit.io/features/image-transformations
+  imagekit: {
+    w: (src) => appendQuery(src, "tr=w-{w}"),
+    x: (src) => appendQuery(src, "tr=dpr-{x}"),
+  },
+  // https://developers.cloudflare.com/images/transform-images/transform-via-url/
+  cloudflare: {
+    w: (src) => `/cdn-cgi/image/width={w}/${src.replace(/^\//, "")}`,
+    x: (src) => `/cdn-cgi/image/dpr={x}/${src.replace(/^\//, "")}`,
+  },
+  // https://nextjs.org/docs/app/api-reference/components/image
+  next: {
+    w: (src) => `/_next/image?url=${encodeURIComponent(src)}&w={w}&q=75`,
+  },
+  // https://docs.netlify.com/image-cdn/overview/
+  netlify: {
+    w: (src) => `/.netlify/images?url=${encodeURIComponent(src)}&w={w}`,
+  },
+};
+
+/**
+ * Works out the template of the URLs, for widths ("w") or densities ("x").
+ * Returns a string.
+ */
+function urlTemplate({ template, src, preset }, descriptor) {
+  if ((template === undefined) === (preset === undefined)) {
+    throw new TypeError("Either a template or a preset must be given.");
+  }
+
+  if (preset !== undefined) {
+    if (!Object.hasOwn(presets, preset)) {
+      throw new TypeError(
+        `Unknown preset "${preset}", expected one of ${Object.keys(
+          presets
+        ).join(", ")}.`
+      );
+    }
+
+    if (typeof src !== "string" || src === "") {
+      throw new TypeError(`The ${preset} preset needs the URL of the image.`);
+    }
+
+    if (!presets[preset][descriptor]) {
+      throw new TypeError(`The ${preset} preset only supports widths.`);
+    }
+
+    return presets[preset][descriptor](src);
+  }
+
+  if (typeof template !== "string") {
+    throw new TypeError("Template must be a string.");
+  }
+
+  if (!template.includes(`{${descriptor}}`)) {
+    throw new TypeError(`Template "${template}" must contain {${descriptor}}.`);
+  }
+
+  if (src === undefined) {
+    return template;
+  }
+
+  // (Like "?w={w}&q=75", to add to the query string of src)
+  if (!template.startsWith("?")) {
+    throw new TypeError(
+      `Template "${template}" must start with "?" to be added to the URL of the image.`
+    );
+  }
+
+  return appendQuery(src, template.slice(1));
+}
+
+/**
+ * Builds a srcset from a URL template and a list of widths, for w
+ * descriptors, or of densities, for x descriptors. The values are sorted and
+ * deduplicated, and {w} or {x} in the template is replaced with each.
+ * The template can also come from a preset for an image CDN, given the URL of
+ * the image as `src`.
+ * The result is checked with parseSrcset.
+ * @returns string
+ */
+function buildSrcset(options = {}) {
+  const { widths, densities, escapeUrls } = options;
+
+  if ((widths === undefined) === (densities === undefined)) {
+    throw new TypeError("Either widths or densities must be given.");
+  }
+
+  const descriptor = widths === undefined ? "x" : "w";
+  const values = widths === undefined ? densities : widths;
+
+  if (!Array.isArray(values) || values.length === 0) {
+    throw new TypeError(
+      `${
+        widths === undefined ? "Densities" : "Widths"
+      } must be a non-empty array.`
+    );
+  }
+
+  const template = urlTemplate(options, descriptor);
+  const candidates = [...new Set(values)]
+    .sort((a, b) => a - b)
+    .map((value) => {
+      const url = template.replaceAll(`{${descriptor}}`, String(value));
+
+      return descriptor === "w"
+        ? { url, width: value }
+        : { url, density: value };
+    });
+  const srcset = stringifySrcset(candidates, { escapeUrls });
+
+  parseSrcset(srcset);
+
+  return srcset;
+}
+
+export { buildSrcset };
@@ -0,0 +1,62 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {buildSrcset} from './index.js';
+
+test('widths', () => {
+	assert.equal(buildSrcset({template: '/img/hero-{w}.jpg', widths: [800, 400, 1200, 400]}), '/img/hero-400.jpg 400w, /img/hero-800.jpg 800w, /img/hero-1200.jpg 1200w');
+	assert.equal(buildSrcset({template: '/img/{w}/hero-{w}.jpg', widths: [320]}), '/img/320/hero-320.jpg 320w');
+});
+
+test('densities', () => {
+	assert.equal(buildSrcset({template: '/img/hero@{x}x.jpg', densities: [2, 1, 1.5, 2]}), '/img/hero@1x.jpg 1x, /img/hero@1.5x.jpg 1.5x, /img/hero@2x.jpg 2x');
+});
+
+test('query templates', () => {
+	assert.equal(buildSrcset({template: '?w={w}&q=75', widths: [400]}), '?w=400&q=75 400w');
+	assert.equal(buildSrcset({template: '?w={w}&q=75', src: '/hero.jpg', widths: [400]}), '/hero.jpg?w=400&q=75 400w');
+	assert.equal(buildSrcset({template: '?dpr={x}', src: '/hero.jpg?v=2#top', densities: [2]}), '/hero.jpg?v=2&dpr=2#top 2x');
+});
+
+test('presets', () => {
+	const build = (preset, src, values) => buildSrcset({preset, src, widths: values});
+	assert.equal(build('imgix', 'https://a.imgix.net/hero.jpg', [400]), 'https://a.imgix.net/hero.jpg?w=400 400w');
+	assert.equal(build('cloudinary', 'https://res.cloudinary.com/demo/image/upload/v1/hero.jpg', [400]), 'https://res.cloudinary.com/demo/image/upload/w_400/v1/hero.jpg 400w');
+	assert.equal(build('imagekit', 'https://ik.imagekit.io/demo/hero.jpg', [400]), 'https://ik.imagekit.io/demo/hero.jpg?tr=w-400 400w');
+	assert.equal(build('cloudflare', '/img/hero.jpg', [400]), '/cdn-cgi/image/width=400/img/hero.jpg 400w');
+	assert.equal(build('next', '/img/hero.jpg', [640]), '/_next/image?url=%2Fimg%2Fhero.jpg&w=640&q=75 640w');
+	assert.equal(build('netlify', '/img/hero.jpg', [640]), '/.netlify/images?url=%2Fimg%2Fhero.jpg&w=640 640w');
+
+	const densities = (preset, src) => buildSrcset({preset, src, densities: [1, 2]});
+	assert.equal(densities('imgix', 'https://a.imgix.net/hero.jpg?fit=crop'), 'https://a.imgix.net/hero.jpg?fit=crop&dpr=1 1x, https://a.imgix.net/hero.jpg?fit=crop&dpr=2 2x');
+	assert.equal(densities('cloudinary', 'https://res.cloudinary.com/demo/image/upload/hero.jpg'), 'https://res.cloudinary.com/demo/image/upload/dpr_1/hero.jpg 1x, https://res.cloudinary.com/demo/image/upload/dpr_2/hero.jpg 2x');
+	assert.equal(densities('imagekit', 'https://ik.imagekit.io/demo/hero.jpg'), 'https://ik.imagekit.io/demo/hero.jpg?tr=dpr-1 1x, https://ik.imagekit.io/demo/hero.jpg?tr=dpr-2 2x');
+	assert.equal(densities('cloudflare', 'https://example.com/hero.jpg'), '/cdn-cgi/image/dpr=1/https://example.com/hero.jpg 1x, /cdn-cgi/image/dpr=2/https://example.com/hero.jpg 2x');
+});
+
+test('escapes URLs', () => {
+	assert.throws(() => buildSrcset({template: '/my hero-{w}.jpg', widths: [400]}), {name: 'TypeError', message: 'Image candidate URL "/my hero-400.jpg" can\'t be serialized without escaping.'});
+	assert.equal(buildSrcset({template: '/my hero-{w}.jpg', widths: [400], escapeUrls: true}), '/my%20hero-400.jpg 400w');
+});
+
+test('invalid options', () => {
+	const fails = (options, message) => assert.throws(() => buildSrcset(options), {name: 'TypeError', message});
+	fails({template: '/{w}.jpg'}, 'Either widths or densities must be given.');
+	fails({template: '/{w}.jpg', widths: [1], densities: [1]}, 'Either widths or densities must be given.');
+	fails({template: '/{w}.jpg', widths: []}, 'Widths must be a non-empty array.');
+	fails({template: '/{x}.jpg', densities: 2}, 'Densities must be a non-empty array.');
+	fails({widths: [1]}, 'Either a template or a preset must be given.');
+	fails({template: '/{w}.jpg', preset: 'imgix', src: '/a.jpg', widths: [1]}, 'Either a template or a preset must be given.');
+	fails({template: 1, widths: [1]}, 'Template must be a string.');
+	fails({template: '/hero.jpg', widths: [1]}, 'Template "/hero.jpg" must contain {w}.');
+	fails({template: '/hero-{w}.jpg', densities: [1]}, 'Template "/hero-{w}.jpg" must contain {x}.');
+	fails({template: '/hero-{w}.jpg', src: '/a.jpg', widths: [1]}, 'Template "/hero-{w}.jpg" must start with "?" to be added to the URL of the image.');
+	fails({template: '/hero-{w}.jpg', widths: [0]}, 'Width of "/hero-0.jpg" must be a safe integer greater than zero.');
+	fails({template: '/hero-{w}.jpg', widths: [1.5]}, 'Width of "/hero-1.5.jpg" must be a safe integer greater than zero.');
+	fails({template: '/hero-{x}.jpg', densities: [-1]}, 'Density of "/hero--1.jpg" must be a finite number greater than zero.');
+	fails({preset: 'fastly', src: '/a.jpg', widths: [1]}, 'Unknown preset "fastly", expected one of imgix, cloudinary, imagekit, cloudflare, next, netlify.');
+	fails({preset: 'constructor', src: '/a.jpg', widths: [1]}, 'Unknown preset "constructor", expected one of imgix, cloudinary, imagekit, cloudflare, next, netlify.');
+	fails({preset: 'imgix', widths: [1]}, 'The imgix preset needs the URL of the image.');
+	fails({preset: 'next', src: '/a.jpg', densities: [1]}, 'The next preset only supports widths.');
+	fails({preset: 'cloudinary', src: '/a.jpg', widths: [1]}, '"/a.jpg" must be a Cloudinary delivery URL, with "/upload/" in its path.');
+	assert.throws(() => buildSrcset(), {name: 'TypeError'});
+});
@@ -0,0 +1,35 @@
+/**
+ * Candidate Numbering
+ *
+ * Numbers the candidates of a parseSrcsetLoose result like the candidateIndex
+ * of its errors, for the modules that report errors of their own.
+ */
+
+/**
+ * Numbers the candidates and the dropped candidates of a parseSrcsetLoose
+ * result in input order, in one pass since both lists are already in that
+ * order.
+ * Returns a Map of each candidate, and each dropped candidate, to its index.
+ */
+function candidateIndexes({ candidates, dropped }) {
+  const indexes = new Map();
+  let candidateIndex = 0;
+  let droppedIndex = 0;
+
+  while (candidateIndex < candidates.length || droppedIndex < dropped.length) {
+    const isCandidateNext =
+      droppedIndex === dropped.length ||
+      (candidateIndex < candidates.length &&
+        candidates[candidateIndex].startOffset <
+          dropped[droppedIndex].startOffset);
+
+    indexes.set(
+      isCandidateNext ? candidates[candidateIndex++] : dropped[droppedIndex++],
+      indexes.size
+    );
+  }
+
+  return indexes;
+}
+
+export { candidateIndexes };
@@ -0,0 +1,59 @@
+/**
+ * Srcset Canonicalizer
+ *
+ * Prints a srcset in one canonical form, so that srcsets that mean the same
+ * thing give the same string: candidates sorted, duplicates removed, numbers
+ * in their shortest form and no implicit "1x".
+ */
+
+import parseSrcset from "./index.js";
+import { serializeCandidate } from "./stringify.js";
+
+/**
+ * Works out where a candidate goes: candidates with a density, or none, come
+ * first, by density, then candidates with a width, by width.
+ * Returns [group, value].
+ */
+function sortKey(candidate) {
+  return candidate.width
+    ? [1, candidate.width.value]
+    : [0, candidate.density ? candidate.density.value : 1];
+}
+
+/**
+ * Canonicalizes a srcset string, parsed like parseSrcset.
+ * Candidates are sorted by density, then by width, keeping their order when
+ * they have the same one (the first one wins when choosing an image), exact
+ * duplicates are removed, "1x" is left out since it's the default, and
+ * numbers are printed in their shortest form, like "1.5x" for "1.50x".
+ * @returns string
+ */
+function canonicalizeSrcset(input, options = {}) {
+  const seen = new Set();
+
+  return parseSrcset(input, options)
+    .map((candidate) => {
+      const { url, descriptors } = serializeCandidate(candidate, false);
+
+      return {
+        key: sortKey(candidate),
+        text: [
+          url,
+          ...descriptors.filter((descriptor) => descriptor !== "1x"),
+        ].join(" "),
+      };
+    })
+    .filter(({ text }) => {
+      if (seen.has(text)) {
+        return false;
+      }
+
+      seen.add(text);
+      return true;
+    })
+    .sort(({ key: a }, { key: b }) => a[0] - b[0] || a[1] - b[1])
+    .map(({ text }) => text)
+    .join(", ");
+}
+
+export { canonicalizeSrcset };
@@ -0,0 +1,48 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {canonicalizeSrcset, SrcsetParseError} from './index.js';
+
+test('sorts candidates by density', () => {
+	assert.equal(canonicalizeSrcset('c.jpg 3x, a.jpg 1.5x, b.jpg 2x'), 'a.jpg 1.5x, b.jpg 2x, c.jpg 3x');
+	assert.equal(canonicalizeSrcset('b.jpg 2x, a.jpg 0.5x, c.jpg'), 'a.jpg 0.5x, c.jpg, b.jpg 2x');
+});
+
+test('sorts candidates by width', () => {
+	assert.equal(
+		canonicalizeSrcset('c.jpg 1200w, a.jpg 320w 240h, b.jpg 640w'),
+		'a.jpg 320w 240h, b.jpg 640w, c.jpg 1200w'
+	);
+	assert.equal(canonicalizeSrcset('a.jpg 100w, b.jpg'), 'b.jpg, a.jpg 100w');
+});
+
+test('keeps the order of candidates with the same descriptor', () => {
+	assert.equal(canonicalizeSrcset('b.jpg 2x, z.jpg 1x, a.jpg 2x'), 'z.jpg, b.jpg 2x, a.jpg 2x');
+	assert.equal(canonicalizeSrcset('b.jpg 100w, a.jpg 100w'), 'b.jpg 100w, a.jpg 100w');
+});
+
+test('removes exact duplicates', () => {
+	assert.equal(canonicalizeSrcset('a.jpg, b.jpg 2x, a.jpg 1x, b.jpg 2.0x'), 'a.jpg, b.jpg 2x');
+	assert.equal(canonicalizeSrcset('a.jpg 100w 50h, a.jpg 100w, a.jpg 100w 50h'), 'a.jpg 100w 50h, a.jpg 100w');
+});
+
+test('prints numbers in their shortest form', () => {
+	assert.equal(canonicalizeSrcset('a.jpg 0100w 050h'), 'a.jpg 100w 50h');
+	assert.equal(canonicalizeSrcset('a.jpg .50x, b.jpg 1.0x, c.jpg 2e0x, d.jpg 1e1x'), 'a.jpg 0.5x, b.jpg, c.jpg 2x, d.jpg 10x');
+});
+
+test('gives the same string for srcsets that mean the same thing', () => {
+	assert.equal(
+		canonicalizeSrcset(' hero-2x.jpg  2.0x ,\n\thero.jpg 1x,,'),
+		canonicalizeSrcset('hero.jpg, hero-2x.jpg 2x')
+	);
+	assert.equal(canonicalizeSrcset('hero.jpg, hero-2x.jpg 2x'), 'hero.jpg, hero-2x.jpg 2x');
+});
+
+test('takes the options of parseSrcset', () => {
+	assert.equal(canonicalizeSrcset('"a.jpg?w=1&amp;q=2&#x9;2x, b.jpg"', {html: true}), 'b.jpg, a.jpg?w=1&q=2 2x');
+});
+
+test('throws on invalid srcsets', () => {
+	assert.throws(() => canonicalizeSrcset('a.jpg 2q'), SrcsetParseError);
+	assert.throws(() => canonicalizeSrcset(''), SrcsetParseError);
+});
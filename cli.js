@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+/**
+ * Command-Line Interface
+ *
+ *   parse-srcset [--format json|text] [srcset]
+ *     Prints the candidates of a srcset, given as an argument or on stdin.
+ *
+ *   parse-srcset scan [--format json|text] <file or directory>...
+ *     Reports the errors in the srcset, imagesrcset and :srcset attributes of
+ *     HTML, JSX, TSX, Vue and Markdown files, as file:line:column.
+ *
+ * Exits with 1 when there are errors, and with 2 when it can't run.
+ */
+
+import { readdirSync, readFileSync, statSync } from "node:fs";
+import { extname, join } from "node:path";
+import { parseArgs } from "node:util";
+import { checkSrcsetConformance, stringifySrcset } from "./index.js";
+import { srcsetErrors } from "./lint.js";
+import { locate } from "./location.js";
+
+const usage = `Usage:
+  parse-srcset [--format json|text] [srcset]
+  parse-srcset scan [--format json|text] <file or directory>...
+
+Prints the candidates of a srcset given as an argument or on stdin, or reports
+the errors in the srcset attributes of HTML, JSX, TSX, Vue and Markdown files.
+
+Options:
+  -f, --format  json (the default) or text
+  -h, --help    Show this help`;
+
+const languages = {
+  ".html": "html",
+  ".htm": "html",
+  ".jsx": "jsx",
+  ".tsx": "jsx",
+  ".vue": "vue",
+  ".md": "markdown",
+  ".markdown": "markdown",
+  ".mdx": "markdown",
+};
+
+// (srcSet and imageSrcSet in JSX, :srcset and v-bind:srcset in Vue, but not
+// data-srcset and the like)
+const regexAttribute =
+  /(?<=\s)((?:v-bind)?:)?(srcset|imagesrcset)[ \t\n\r\f]*=[ \t\n\r\f]*/gi;
+const regexQuotedValue = /"([^"]*)"|'([^']*)'/y;
+const regexUnquotedValue = /[^\s"'=<>`]+/y;
+// (Only string literals without escapes or substitutions are static)
+const stringLiteral = "\"[^\"\\\\\\n]*\"|'[^'\\\\\\n]*'|`[^`\\\\$]*`";
+const regexExpressionContainer = new RegExp(
+  `\\{(\\s*)(${stringLiteral})\\s*\\}`,
+  "y"
+);
+const regexBoundValue = new RegExp(`^(\\s*)(${stringLiteral})\\s*$`);
+const regexHtmlComment = /<!--[\s\S]*?(?:-->|$)/g;
+const regexCodeFence =
+  /^ {0,3}(`{3,}|~{3,})[\s\S]*?(?:^ {0,3}\1[ \t]*$|(?![\s\S]))/gm;
+
+/**
+ * Thrown when the command line can't be run, like for an unknown option or a
+ * file that can't be read. Exits with 2.
+ */
+class UsageError extends Error {}
+
+/**
+ * Blanks out the parts of text matched by regEx, keeping line breaks so that
+ * offsets, lines and columns don't change.
+ * Returns a string.
+ */
+function blankOut(text, regEx) {
+  return text.replace(regEx, (match) => match.replace(/[^\n]/g, " "));
+}
+
+/**
+ * Finds the srcset attributes of an HTML, JSX, Vue or Markdown file, skipping
+ * those whose value isn't static, and those in comments or code blocks.
+ * Returns [{attribute, value, offset, html}, ...], where offset is where the
+ * value starts in text, and html is set when its character references are
+ * still to decode.
+ */
+function findAttributes(text, language) {
+  const attributes = [];
+
+  if (language !== "jsx") {
+    text = blankOut(text, regexHtmlComment);
+  }
+
+  if (language === "markdown") {
+    text = blankOut(text, regexCodeFence);
+  }
+
+  regexAttribute.lastIndex = 0;
+  let match;
+
+  while ((match = regexAttribute.exec(text))) {
+    const [assignment, binding = "", name] = match;
+    const position = match.index + assignment.length;
+    let value;
+    let offset;
+    let html = true;
+
+    regexQuotedValue.lastIndex = position;
+    regexExpressionContainer.lastIndex = position;
+    regexUnquotedValue.lastIndex = position;
+
+    const quoted = regexQuotedValue.exec(text);
+    const container = !binding && regexExpressionContainer.exec(text);
+    const unquoted = !binding && regexUnquotedValue.exec(text);
+
+    if (quoted) {
+      value = quoted[1] === undefined ? quoted[2] : quoted[1];
+      offset = position + 1;
+      regexAttribute.lastIndex = position + quoted[0].length;
+
+      // (A bound value is an expression, like "'a.jpg 1x, b.jpg 2x'")
+      if (binding) {
+        const literal = regexBoundValue.exec(value);
+
+        if (!literal) {
+          continue;
+        }
+
+        value = literal[2].slice(1, -1);
+        offset += literal[1].length + 1;
+        html = false;
+      }
+    } else if (container) {
+      // (Like srcSet={"a.jpg 1x, b.jpg 2x"} in JSX)
+      value = container[2].slice(1, -1);
+      offset = position + 1 + container[1].length + 1;
+      html = false;
+      regexAttribute.lastIndex = position + container[0].length;
+    } else if (unquoted && language !== "jsx") {
+      [value] = unquoted;
+      offset = position;
+      regexAttribute.lastIndex = position + value.length;
+    } else {
+      continue;
+    }
+
+    attributes.push({ attribute: binding + name, value, offset, html });
+  }
+
+  return attributes;
+}
+
+/**
+ * Turns the errors of the srcsets found in the text of file, given as
+ * {offset, attribute, errors} with the offset where each srcset starts, into
+ * problems to report, with lines and columns starting at 1.
+ * Returns [{file, line, column, endLine, endColumn, attribute, code, message}].
+ */
+function problems(file, text, srcsets) {
+  const errors = srcsets.flatMap(({ offset, attribute, errors }) =>
+    errors.map((error) => ({
+      error,
+      attribute,
+      startOffset: offset + error.startOffset,
+      endOffset: offset + error.endOffset,
+    }))
+  );
+  // (Every position at once, in one pass over the text)
+  const positions = locate(
+    text,
+    errors.flatMap(({ startOffset, endOffset }) => [startOffset, endOffset]),
+    "utf16"
+  );
+
+  return errors.map(({ error, attribute, startOffset, endOffset }) => {
+    const start = positions.get(startOffset);
+    const end = positions.get(endOffset);
+
+    return {
+      file,
+      line: start.line,
+      column: start.column + 1,
+      endLine: end.line,
+      endColumn: end.column + 1,
+      attribute,
+      code: error.code,
+      message: error.message,
+    };
+  });
+}
+
+/**
+ * Lists the files to scan: the files given, and the files of the directories
+ * given that have a known extension, skipping node_modules and hidden
+ * directories.
+ * Returns an array of paths.
+ */
+function listFiles(paths) {
+  const files = [];
+
+  for (const path of paths) {
+    let stats;
+
+    try {
+      stats = statSync(path);
+    } catch {
+      throw new UsageError(`Can't read "${path}".`);
+    }
+
+    if (stats.isDirectory()) {
+      const entries = readdirSync(path, { withFileTypes: true })
+        .filter(({ name }) => !name.startsWith(".") && name !== "node_modules")
+        .filter(
+          (entry) => entry.isDirectory() || languages[extname(entry.name)]
+        )
+        .map(({ name }) => join(path, name))
+        .sort();
+
+      files.push(...listFiles(entries));
+    } else if (languages[extname(path)]) {
+      files.push(path);
+    } else {
+      throw new UsageError(
+        `Can't scan "${path}": only ${Object.keys(languages).join(
+          ", "
+        )} files are supported.`
+      );
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Scans files and directories for srcset attributes.
+ * Returns an array of problems.
+ */
+function scan(paths) {
+  if (paths.length === 0) {
+    throw new UsageError("No file or directory to scan.");
+  }
+
+  return listFiles(paths).flatMap((file) => {
+    const text = readFileSync(file, "utf8");
+
+    return problems(
+      file,
+      text,
+      findAttributes(text, languages[extname(file)]).map(
+        ({ attribute, value, offset, html }) => ({
+          offset,
+          attribute,
+          errors: srcsetErrors(value, html),
+        })
+      )
+    );
+  });
+}
+
+/**
+ * Renders problems, or candidates when there are none and candidates is set.
+ * Returns a string.
+ */
+function render(format, problemList, candidates) {
+  if (format === "json") {
+    return JSON.stringify(
+      problemList.length > 0 || !candidates ? problemList : candidates,
+      null,
+      2
+    );
+  }
+
+  if (problemList.length > 0 || !candidates) {
+    return problemList
+      .map(
+        ({ file, line, column, message, code }) =>
+          `${file}:${line}:${column}: ${message} (${code})`
+      )
+      .join("\n");
+  }
+
+  // (One candidate per line)
+  return candidates.map((candidate) => stringifySrcset([candidate])).join("\n");
+}
+
+/**
+ * Runs the command line with args, the arguments after the script.
+ * Returns {output, exitCode}.
+ */
+function run(args, readStdin) {
+  let parsed;
+
+  try {
+    parsed = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        format: { type: "string", short: "f", default: "json" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+
+  if (values.help) {
+    return { output: usage, exitCode: 0 };
+  }
+
+  if (values.format !== "json" && values.format !== "text") {
+    throw new UsageError(
+      `Unknown format "${values.format}", expected json or text.`
+    );
+  }
+
+  if (positionals[0] === "scan") {
+    const problemList = scan(positionals.slice(1));
+
+    return {
+      output: render(values.format, problemList),
+      exitCode: problemList.length > 0 ? 1 : 0,
+    };
+  }
+
+  if (positionals.length > 1) {
+    throw new UsageError(
+      "Expected a single srcset: quote it if it has spaces."
+    );
+  }
+
+  const [file, input] =
+    positionals.length === 1
+      ? ["<argument>", positionals[0]]
+      : ["<stdin>", readStdin()];
+  const problemList = problems(file, input, [
+    { offset: 0, attribute: undefined, errors: srcsetErrors(input) },
+  ]);
+
+  return {
+    output: render(
+      values.format,
+      problemList,
+      checkSrcsetConformance(input).candidates
+    ),
+    exitCode: problemList.length > 0 ? 1 : 0,
+  };
+}
+
+try {
+  const { output, exitCode } = run(process.argv.slice(2), () => {
+    if (process.stdin.isTTY) {
+      throw new UsageError(usage);
+    }
+
+    return readFileSync(process.stdin.fd, "utf8");
+  });
+
+  if (output) {
+    console.log(output);
+  }
+
+  process.exitCode = exitCode;
+} catch (error) {
+  if (!(error instanceof UsageError)) {
+    throw error;
+  }
+
+  console.error(error.message);
+  process.exitCode = 2;
+}
@@ -0,0 +1,129 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {spawnSync} from 'node:child_process';
+import {mkdirSync, mkdtempSync, rmSync, writeFileSync} from 'node:fs';
+import {tmpdir} from 'node:os';
+import {dirname, join} from 'node:path';
+import {fileURLToPath} from 'node:url';
+
+const cli = fileURLToPath(new URL('cli.js', import.meta.url));
+
+const run = (args, input = '') => {
+	const {stdout, stderr, status} = spawnSync(process.execPath, [cli, ...args], {input, encoding: 'utf8'});
+	return {stdout, stderr, status};
+};
+
+const files = {
+	'page.html': [
+		'<img srcset="a.jpg 1x, b.jpg 2x" alt="">',
+		'<!-- <img srcset="a.jpg foo"> -->',
+		'<link rel=preload imagesrcset=c.jpg,d.jpg data-srcset="e.jpg foo">',
+		'<img',
+		'  SRCSET=\'f.jpg 100w 2x\'>',
+		'<img srcset="">',
+		'<img srcset="a.jpg?w=1&amp;h=2 1x,&#10;b.jpg&#9;2q">',
+	].join('\n'),
+	'component.jsx': [
+		'const a = <img srcSet="a.jpg 1x, b.jpg 2q" />;',
+		'const b = <img srcSet={ \'c.jpg 10w,, d.jpg 20w\' } />;',
+		'const c = <img srcSet={`e.jpg ${width}w`} />;',
+		'const d = <link imageSrcSet={"f.jpg 0w"} />;',
+	].join('\n'),
+	'component.vue': [
+		'<template>',
+		'  <img :srcset="\'a.jpg 1x, b.jpg foo\'" v-bind:srcset=" `c.jpg 1x 1x` " srcset="d.jpg -1x">',
+		'  <img :srcset="images.join(\', \')">',
+		'</template>',
+	].join('\n'),
+	'readme.md': [
+		'```html',
+		'<img srcset="a.jpg foo">',
+		'```',
+		'',
+		'<img srcset="a.jpg 1x, b.jpg 1y">',
+	].join('\n'),
+	'notes.txt': 'srcset="a.jpg foo"',
+	'node_modules/dependency/page.html': '<img srcset="a.jpg foo">',
+	'.cache/page.html': '<img srcset="a.jpg foo">',
+	'docs/page.vue': '<img :srcset="`a.jpg 1x, b.jpg 2x`" srcset=a.jpg>',
+};
+
+const directory = mkdtempSync(join(tmpdir(), 'parse-srcset-'));
+for (const [name, text] of Object.entries(files)) {
+	mkdirSync(dirname(join(directory, name)), {recursive: true});
+	writeFileSync(join(directory, name), text);
+}
+test.after(() => rmSync(directory, {recursive: true, force: true}));
+
+test('parses a srcset given as an argument', () => {
+	const {stdout, status} = run(['a.jpg 100w, b.jpg 200w']);
+	assert.equal(status, 0);
+	assert.deepEqual(JSON.parse(stdout), [
+		{source: {value: 'a.jpg', startOffset: 0, endOffset: 5}, width: {value: 100, startOffset: 6, endOffset: 10}, startOffset: 0, endOffset: 11},
+		{source: {value: 'b.jpg', startOffset: 12, endOffset: 17}, width: {value: 200, startOffset: 18, endOffset: 22}, startOffset: 12, endOffset: 22},
+	]);
+});
+
+test('parses a srcset on stdin', () => {
+	assert.deepEqual(run(['--format', 'text'], 'a.jpg,\nb.jpg 2x\n'), {stdout: 'a.jpg\nb.jpg 2x\n', stderr: '', status: 0});
+	assert.deepEqual(run(['-f', 'text', '--', '-a.jpg']), {stdout: '-a.jpg\n', stderr: '', status: 0});
+});
+
+test('reports the errors of a srcset', () => {
+	const {stdout, status} = run(['a.jpg foo, b.jpg 2x,, c.jpg 3x']);
+	assert.equal(status, 1);
+	assert.deepEqual(JSON.parse(stdout), [
+		{file: '<argument>', line: 1, column: 7, endLine: 1, endColumn: 10, code: 'INVALID_DESCRIPTOR', message: 'Invalid srcset descriptor "foo".'},
+		{file: '<argument>', line: 1, column: 21, endLine: 1, endColumn: 22, code: 'EXTRA_COMMA', message: 'Unexpected comma between image candidate strings.'},
+	]);
+	assert.deepEqual(run(['-f', 'text'], 'a.jpg,\n  b.jpg 1x 2x'), {
+		stdout: '<stdin>:2:12: Duplicate density descriptor "2x". (DUPLICATE_DESCRIPTOR)\n',
+		stderr: '',
+		status: 1,
+	});
+	assert.deepEqual(run(['-f', 'text'], ' \n'), {
+		stdout: '<stdin>:1:1: Must contain one or more image candidate strings. (EMPTY_INPUT)\n',
+		stderr: '',
+		status: 1,
+	});
+});
+
+test('scans files', () => {
+	const {stdout, status} = run(['scan', '--format', 'text', directory]);
+	assert.equal(status, 1);
+	assert.deepEqual(stdout.replaceAll(directory, '.').split('\n'), [
+		'./component.jsx:1:40: Invalid srcset descriptor "2q". (INVALID_DESCRIPTOR)',
+		'./component.jsx:2:36: Unexpected comma between image candidate strings. (EXTRA_COMMA)',
+		'./component.jsx:4:37: Width descriptor "0w" must be greater than zero. (ZERO_WIDTH)',
+		'./component.vue:2:34: Invalid srcset descriptor "foo". (INVALID_DESCRIPTOR)',
+		'./component.vue:2:66: Duplicate density descriptor "1x". (DUPLICATE_DESCRIPTOR)',
+		'./component.vue:2:86: Density descriptor "-1x" must not be negative. (NEGATIVE_DENSITY)',
+		'./page.html:5:22: Density descriptor "2x" can\'t be combined with a width or height descriptor. (CONFLICTING_DESCRIPTORS)',
+		'./page.html:6:14: Must contain one or more image candidate strings. (EMPTY_INPUT)',
+		'./page.html:7:49: Invalid srcset descriptor "2q". (INVALID_DESCRIPTOR)',
+		'./readme.md:5:30: Invalid srcset descriptor "1y". (INVALID_DESCRIPTOR)',
+		'',
+	]);
+});
+
+test('scans files as JSON', () => {
+	const file = join(directory, 'readme.md');
+	const {stdout, status} = run(['scan', file]);
+	assert.equal(status, 1);
+	assert.deepEqual(JSON.parse(stdout), [
+		{file, line: 5, column: 30, endLine: 5, endColumn: 32, attribute: 'srcset', code: 'INVALID_DESCRIPTOR', message: 'Invalid srcset descriptor "1y".'},
+	]);
+	assert.deepEqual(run(['scan', '-f', 'json', join(directory, 'docs')]), {stdout: '[]\n', stderr: '', status: 0});
+	assert.deepEqual(run(['scan', '-f', 'text', join(directory, 'docs')]), {stdout: '', stderr: '', status: 0});
+});
+
+test('usage errors', () => {
+	const fails = (args, message) => assert.deepEqual(run(args), {stdout: '', stderr: `${message}\n`, status: 2});
+	fails(['--format', 'xml', 'a.jpg'], 'Unknown format "xml", expected json or text.');
+	fails(['a.jpg', '1x'], 'Expected a single srcset: quote it if it has spaces.');
+	fails(['scan'], 'No file or directory to scan.');
+	fails(['scan', join(directory, 'missing.html')], `Can't read "${join(directory, 'missing.html')}".`);
+	fails(['scan', join(directory, 'notes.txt')], `Can't scan "${join(directory, 'notes.txt')}": only .html, .htm, .jsx, .tsx, .vue, .md, .markdown, .mdx files are supported.`);
+	assert.equal(run(['--bogus']).status, 2);
+	assert.match(run(['--help']).stdout, /^Usage:/);
+});
@@ -0,0 +1,154 @@
+/**
+ * Data URLs
+ *
+ * Reads the media type and body of data: URLs, following the data: URL
+ * processor at:
+ * https://fetch.spec.whatwg.org/#data-url-processor
+ *
+ * Comments in quotes are copied from the spec.
+ */
+
+// (Don't use \s, to avoid matching non-breaking space)
+// eslint-disable-next-line no-control-regex
+const regexSpaces = /^[ \t\n\r\u000c]+|[ \t\n\r\u000c]+$/g;
+// eslint-disable-next-line no-control-regex
+const regexAllSpaces = /[ \t\n\r\u000c]+/g;
+const regexBase64Parameter = /;[ ]*base64$/i;
+const regexBase64 = /^[a-zA-Z0-9+/]*$/;
+const regexPercentEncodedByte = /%[0-9a-fA-F]{2}/g;
+// (A type and subtype made of HTTP token code points)
+const regexEssence =
+  /^[!#$%&'*+.^_`|~0-9a-zA-Z-]+\/[!#$%&'*+.^_`|~0-9a-zA-Z-]+$/;
+
+/**
+ * Percent-decodes an ASCII string into the string of its bytes, one character
+ * per byte.
+ * Returns a string.
+ */
+function percentDecode(value) {
+  return value.replace(regexPercentEncodedByte, (byte) =>
+    String.fromCharCode(parseInt(byte.slice(1), 16))
+  );
+}
+
+/**
+ * Runs the "forgiving-base64 decode" steps up to decoding, so that the length
+ * is known without decoding anything.
+ * Returns the data to decode, or undefined on failure.
+ */
+function forgivingBase64(data) {
+  // "Remove all ASCII whitespace from data."
+  data = data.replace(regexAllSpaces, "");
+
+  // "If data's code point length divides by 4 leaving no remainder, then: if
+  // data ends with one or two U+003D (=) code points, then remove them from
+  // data."
+  if (data.length % 4 === 0) {
+    data = data.replace(/={1,2}$/, "");
+  }
+
+  // "If data's code point length divides by 4 leaving a remainder of 1,
+  // return failure."
+  if (data.length % 4 === 1 || !regexBase64.test(data)) {
+    return;
+  }
+
+  return data;
+}
+
+/**
+ * Reads a data: URL.
+ * Returns {mediaType, base64, byteLength, bytes}, where bytes is a Uint8Array
+ * decoded the first time it is read, or null if url isn't a valid data: URL.
+ */
+function parseDataUrl(url) {
+  let parsed;
+
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+
+  if (parsed.protocol !== "data:") {
+    return null;
+  }
+
+  // "Let input be the result of running the URL serializer on dataURL with
+  // exclude fragment set to true."
+  // "Remove the leading "data:" from input."
+  // "Strip leading and trailing ASCII whitespace from input."
+  parsed.hash = "";
+  const input = parsed.href.slice("data:".length).replace(regexSpaces, "");
+
+  // "Let mimeType be the result of collecting a sequence of code points that
+  // are not equal to U+002C (,) from input"
+  // "If position is past the end of input, then return failure."
+  const comma = input.indexOf(",");
+
+  if (comma === -1) {
+    return null;
+  }
+
+  // "Strip leading and trailing ASCII whitespace from mimeType."
+  let mimeType = input.slice(0, comma).replace(regexSpaces, "");
+  // "Let body be the percent-decoding of encodedBody."
+  let body = percentDecode(input.slice(comma + 1));
+  let base64 = false;
+
+  // "If mimeType ends with U+003B (;), followed by zero or more U+0020 SPACE,
+  // followed by an ASCII case-insensitive match for "base64", then: [...]
+  // Set body to the forgiving-base64 decode of stringBody. If body is failure,
+  // then return failure."
+  if (regexBase64Parameter.test(mimeType)) {
+    mimeType = mimeType.replace(regexBase64Parameter, "");
+    body = forgivingBase64(body);
+    base64 = true;
+
+    if (body === undefined) {
+      return null;
+    }
+  }
+
+  // "If mimeType starts with ";", then prepend "text/plain" to mimeType."
+  // "If mimeTypeRecord is failure, then set mimeTypeRecord to
+  // text/plain;charset=US-ASCII."
+  // (Only the essence is kept, which is text/plain in both cases)
+  const essence = mimeType.split(";")[0].replace(regexSpaces, "");
+  const mediaType = regexEssence.test(essence)
+    ? essence.toLowerCase()
+    : "text/plain";
+  let bytes;
+
+  return {
+    mediaType,
+    base64,
+    // (Every 4 base64 characters decode to 3 bytes, and any leftover 2 or 3
+    // to 1 or 2)
+    byteLength: base64 ? Math.floor((body.length * 3) / 4) : body.length,
+    get bytes() {
+      if (!bytes) {
+        const binary = base64 ? atob(body) : body;
+
+        bytes = Uint8Array.from(binary, (character) => character.charCodeAt(0));
+      }
+
+      return bytes;
+    },
+  };
+}
+
+/**
+ * Adds the result of parseDataUrl as `dataUrl` to the candidates whose source
+ * is a valid data: URL.
+ * @returns Array [{source, ..., dataUrl?}, ...]
+ */
+function annotateDataUrls(candidates) {
+  return candidates.map((candidate) => {
+    const dataUrl = parseDataUrl(candidate.source.value);
+
+    return dataUrl ? { ...candidate, dataUrl } : candidate;
+  });
+}
+
+export { annotateDataUrls, parseDataUrl };
@@ -0,0 +1,67 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import parseSrcset, {annotateDataUrls, parseDataUrl} from './index.js';
+
+const summarize = url => {
+	const dataUrl = parseDataUrl(url);
+	return dataUrl && [dataUrl.mediaType, dataUrl.base64, dataUrl.byteLength];
+};
+
+const text = bytes => String.fromCharCode(...bytes);
+
+test('media type', () => {
+	assert.deepEqual(summarize('data:image/png;base64,iVBORw0KGgo='), ['image/png', true, 8]);
+	assert.deepEqual(summarize('data:Image/SVG+XML;charset=utf-8,<svg/>'), ['image/svg+xml', false, 6]);
+	assert.deepEqual(summarize('data:,a'), ['text/plain', false, 1]);
+	assert.deepEqual(summarize('data:;charset=utf-8,a'), ['text/plain', false, 1]);
+	assert.deepEqual(summarize('data:image,a'), ['text/plain', false, 1]);
+	assert.deepEqual(summarize('DATA: image/gif ;base64,R0lG'), ['image/gif', true, 3]);
+});
+
+test('base64 flag', () => {
+	assert.deepEqual(summarize('data:text/plain;BASE64,SGk='), ['text/plain', true, 2]);
+	assert.deepEqual(summarize('data:text/plain;base64 ,SGk'), ['text/plain', true, 2]);
+	assert.deepEqual(summarize('data:text/plain;  base64,SGk'), ['text/plain', true, 2]);
+	assert.deepEqual(summarize('data:text/plain;base64;x=y,SGk'), ['text/plain', false, 3]);
+	assert.deepEqual(summarize('data:text/plain;xbase64,SGk'), ['text/plain', false, 3]);
+});
+
+test('decoded byte length', () => {
+	assert.equal(summarize('data:,Hello%2C%20World%21')[2], 13);
+	assert.equal(summarize('data:,%zz')[2], 3);
+	assert.equal(summarize('data:,é')[2], 2);
+	assert.equal(summarize('data:;base64,SGVsbG8=')[2], 5);
+	assert.equal(summarize('data:;base64,SGVsbA==')[2], 4);
+	assert.equal(summarize('data:;base64,SGVs')[2], 3);
+	assert.equal(summarize('data:;base64,SG%56s bG8')[2], 5);
+});
+
+test('bytes are decoded lazily', () => {
+	const dataUrl = parseDataUrl('data:;base64,SGVsbG8=');
+	const descriptor = Object.getOwnPropertyDescriptor(dataUrl, 'bytes');
+	assert.equal(typeof descriptor.get, 'function');
+	assert.ok(dataUrl.bytes instanceof Uint8Array);
+	assert.equal(text(dataUrl.bytes), 'Hello');
+	assert.equal(dataUrl.bytes, dataUrl.bytes);
+	assert.deepEqual([...parseDataUrl('data:image/png;base64,iVBORw0KGgo=').bytes], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+	assert.equal(text(parseDataUrl('data:,a%2Cb#fragment').bytes), 'a,b');
+});
+
+test('invalid data: URLs', () => {
+	assert.equal(parseDataUrl('data:image/png'), null);
+	assert.equal(parseDataUrl('data:;base64,SGVsb'), null);
+	assert.equal(parseDataUrl('data:;base64,SG!s'), null);
+	assert.equal(parseDataUrl('image.png'), null);
+	assert.equal(parseDataUrl('https://example.com/data:,a'), null);
+	assert.equal(parseDataUrl(''), null);
+});
+
+test('annotateDataUrls', () => {
+	const candidates = parseSrcset('data:image/gif;base64,R0lGODlh 1x, b.gif 2x, data:image/png;base64,! 3x');
+	const annotated = annotateDataUrls(candidates);
+	assert.deepEqual(annotated.map(({dataUrl}) => dataUrl && [dataUrl.mediaType, dataUrl.byteLength]), [['image/gif', 6], undefined, undefined]);
+	assert.deepEqual(annotated[0].source, candidates[0].source);
+	assert.equal(annotated[0].startOffset, candidates[0].startOffset);
+	assert.equal(annotated[1], candidates[1]);
+	assert.equal(candidates[0].dataUrl, undefined);
+});
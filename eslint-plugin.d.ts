@@ -0,0 +1,34 @@
+import type { ESLint, Linter, Rule } from "eslint";
+
+export type ValidSrcsetOptions = {
+  /**
+  The JSX attributes to check.
+  @default ["srcSet", "srcset", "imageSrcSet"]
+  */
+  attributes?: string[];
+};
+
+/**
+An ESLint plugin that checks the static srcset values of JSX attributes with the parser, and reports errors at the descriptor or comma they are about.
+
+- `valid-srcset`: srcset values that don't parse, with fixes for extra commas and non-ASCII whitespace between descriptors. Option `attributes`: see `ValidSrcsetOptions`.
+
+@example
+```ts
+// eslint.config.js
+import srcset from "@prettier/parse-srcset/eslint-plugin";
+
+export default [srcset.configs.recommended];
+```
+*/
+declare const plugin: ESLint.Plugin & {
+  rules: {
+    "valid-srcset": Rule.RuleModule;
+  };
+  configs: {
+    /** Turns `srcset/valid-srcset` on, as an error. */
+    recommended: Linter.Config;
+  };
+};
+
+export default plugin;
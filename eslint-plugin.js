@@ -0,0 +1,231 @@
+/**
+ * ESLint Plugin
+ *
+ * Checks the static srcset values of JSX attributes, like srcSet="..." or
+ * srcSet={`...`}, with the parser, and reports errors at the descriptor or
+ * comma they are about.
+ */
+
+import { srcsetErrors } from "./lint.js";
+
+const defaultAttributes = ["srcSet", "srcset", "imageSrcSet"];
+
+// (Whitespace that isn't ASCII whitespace, which the parser doesn't split on)
+const regexUnicodeWhitespace =
+  /[\u00A0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000\uFEFF]/;
+const regexAllUnicodeWhitespace = new RegExp(regexUnicodeWhitespace, "g");
+
+// (A stand-in for an expression of a template literal, that is a valid url
+// and a valid descriptor number; errors about it are left out)
+const placeholder = "1";
+
+/**
+ * Works out the srcset to check for the value of a JSX attribute, and how its
+ * offsets map to the source code.
+ * Returns {value, html, segments}, where segments lists the static parts of
+ * value as {offset, index, length}, with index the range index in the source
+ * code where each starts, or null if the attribute value isn't static or its
+ * offsets don't map to the source code.
+ */
+function staticValue(node, sourceCode) {
+  // (srcSet="...", where character references are decoded like in HTML)
+  if (node.type === "Literal" && typeof node.value === "string") {
+    const raw = sourceCode.getText(node);
+
+    return {
+      value: raw,
+      html: true,
+      segments: [{ offset: 0, index: node.range[0], length: raw.length }],
+    };
+  }
+
+  if (node.type !== "JSXExpressionContainer") {
+    return null;
+  }
+
+  const { expression } = node;
+
+  // (srcSet={"..."}, whose escapes make offsets not map to the source code)
+  if (expression.type === "Literal" && typeof expression.value === "string") {
+    const raw = sourceCode.getText(expression).slice(1, -1);
+
+    return {
+      value: expression.value,
+      html: false,
+      segments:
+        raw === expression.value
+          ? [{ offset: 0, index: expression.range[0] + 1, length: raw.length }]
+          : [],
+    };
+  }
+
+  // (srcSet={`...${expression}...`})
+  if (expression.type === "TemplateLiteral") {
+    const escaped = expression.quasis.some(
+      ({ value }) => value.raw !== value.cooked
+    );
+    const segments = [];
+    let value = "";
+
+    for (const [index, quasi] of expression.quasis.entries()) {
+      if (index > 0) {
+        value += placeholder;
+      }
+
+      if (!escaped) {
+        segments.push({
+          offset: value.length,
+          index: quasi.range[0] + 1,
+          length: quasi.value.raw.length,
+        });
+      }
+
+      value += quasi.value.cooked;
+    }
+
+    // (Without escapes, the offsets of everything but the placeholders map)
+    return {
+      value,
+      html: false,
+      segments,
+      placeholders: expression.quasis.length > 1,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Maps the range of an error to the source code.
+ * Returns [start, end] range indexes, or null if the range isn't all in one
+ * static part of the value.
+ */
+function mapRange(segments, startOffset, endOffset) {
+  for (const { offset, index, length } of segments) {
+    if (startOffset >= offset && endOffset <= offset + length) {
+      return [index + startOffset - offset, index + endOffset - offset];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Works out the autofix for an error about whitespace or commas, given its
+ * range in the source code.
+ * Returns a fix function, or undefined.
+ */
+function fixFor(error, range, sourceCode) {
+  const text = sourceCode.text.slice(range[0], range[1]);
+
+  switch (error.code) {
+    // (Commas between candidates, after the one that ends a candidate)
+    case "EXTRA_COMMA":
+      return (fixer) => fixer.removeRange(range);
+
+    // (Commas after a url, but the one that ends the candidate)
+    case "TRAILING_COMMAS":
+      return (fixer) => fixer.replaceTextRange(range, ",");
+
+    // (Like a non-breaking space between descriptors)
+    case "INVALID_DESCRIPTOR":
+      if (regexUnicodeWhitespace.test(text)) {
+        return (fixer) =>
+          fixer.replaceTextRange(
+            range,
+            text.replace(regexAllUnicodeWhitespace, " ")
+          );
+      }
+
+      return undefined;
+
+    default:
+      return undefined;
+  }
+}
+
+const validSrcset = {
+  meta: {
+    type: "problem",
+    docs: {
+      description:
+        "Enforce valid srcset values in JSX attributes, like the HTML parser reads them",
+    },
+    fixable: "code",
+    schema: [
+      {
+        type: "object",
+        properties: {
+          attributes: {
+            type: "array",
+            items: { type: "string" },
+            uniqueItems: true,
+          },
+        },
+        additionalProperties: false,
+      },
+    ],
+  },
+
+  create(context) {
+    const { attributes = defaultAttributes } = context.options[0] || {};
+    const { sourceCode } = context;
+
+    return {
+      JSXAttribute(node) {
+        if (
+          node.name.type !== "JSXIdentifier" ||
+          !attributes.includes(node.name.name) ||
+          !node.value
+        ) {
+          return;
+        }
+
+        const srcset = staticValue(node.value, sourceCode);
+
+        if (!srcset) {
+          return;
+        }
+
+        for (const error of srcsetErrors(srcset.value, srcset.html)) {
+          const range = mapRange(
+            srcset.segments,
+            error.startOffset,
+            error.endOffset
+          );
+
+          // (Errors about an expression, or next to one, may not be errors
+          // once the expression is evaluated)
+          if (!range && srcset.placeholders) {
+            continue;
+          }
+
+          context.report({
+            node: node.value,
+            message: error.message,
+            ...(range && {
+              loc: {
+                start: sourceCode.getLocFromIndex(range[0]),
+                end: sourceCode.getLocFromIndex(range[1]),
+              },
+              fix: fixFor(error, range, sourceCode),
+            }),
+          });
+        }
+      },
+    };
+  },
+};
+
+const plugin = {
+  meta: { name: "@prettier/parse-srcset" },
+  rules: { "valid-srcset": validSrcset },
+  configs: {},
+};
+
+plugin.configs.recommended = {
+  plugins: { srcset: plugin },
+  rules: { "srcset/valid-srcset": "error" },
+};
+
+export default plugin;
@@ -0,0 +1,88 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {RuleTester} from 'eslint';
+import plugin from './eslint-plugin.js';
+
+const ruleTester = new RuleTester({
+	languageOptions: {parserOptions: {ecmaFeatures: {jsx: true}}},
+});
+
+const rule = plugin.rules['valid-srcset'];
+
+test('valid-srcset', () => {
+	ruleTester.run('valid-srcset', rule, {
+		valid: [
+			'<img srcSet="a.jpg 1x, b.jpg 2x" />',
+			'<img srcSet="a.jpg?w=1&amp;h=2 1x" />',
+			'<img srcSet={"a.jpg 100w,\\n b.jpg 200w"} />',
+			'<img srcSet={`a.jpg 1x, b.jpg 2x`} />',
+			'<img srcSet={`${url} 1x, ${url2x} 2x`} />',
+			'<img srcSet={`a.jpg ${width}w`} />',
+			'<img srcSet={`a.jpg 1x,${more}`} />',
+			'<img srcSet={srcset} />',
+			'<img srcSet={"a.jpg " + width + "w"} />',
+			'<img data-srcset="a.jpg 2q" />',
+			'<img srcSet />',
+			'<Picture.Source srcSet="a.jpg 1x" />',
+			{code: '<img srcSet="a.jpg 2q" />', options: [{attributes: ['dataSrcSet']}]},
+		],
+		invalid: [
+			{
+				code: '<img srcSet="a.jpg 1x, b.jpg 2q" />',
+				errors: [{message: 'Invalid srcset descriptor "2q".', line: 1, column: 30, endLine: 1, endColumn: 32}],
+			},
+			{
+				code: '<img srcSet="a.jpg?w=1&amp;h=2 2q" />',
+				errors: [{message: 'Invalid srcset descriptor "2q".', line: 1, column: 32, endColumn: 34}],
+			},
+			{
+				code: '<img srcset="" />',
+				errors: [{message: 'Must contain one or more image candidate strings.', column: 13, endColumn: 15}],
+			},
+			{
+				code: '<link imageSrcSet={"a.jpg 1x,, b.jpg 2x"} />',
+				errors: [{message: 'Unexpected comma between image candidate strings.', column: 30, endColumn: 31}],
+				output: '<link imageSrcSet={"a.jpg 1x, b.jpg 2x"} />',
+			},
+			{
+				code: '<img srcSet={`a.jpg,,, 1x`} />',
+				errors: [{message: 'More than one comma after "a.jpg".', column: 20, endColumn: 23}],
+				output: '<img srcSet={`a.jpg, 1x`} />',
+			},
+			{
+				code: '<img srcSet="a.jpg 100w 2x" />',
+				errors: [{message: 'Invalid srcset descriptor "100w 2x".', column: 20, endColumn: 27}],
+				output: '<img srcSet="a.jpg 100w 2x" />',
+			},
+			{
+				code: '<img srcSet="a.jpg 1x 2x" />',
+				errors: [{message: 'Duplicate density descriptor "2x".', column: 23, endColumn: 25}],
+				output: null,
+			},
+			{
+				code: '<img\n  srcSet={`a.jpg 1x,\n    b.jpg 2q`}\n/>',
+				errors: [{message: 'Invalid srcset descriptor "2q".', line: 3, column: 11, endLine: 3, endColumn: 13}],
+			},
+			{
+				code: '<img srcSet={`${url} 1x, b.jpg 2q`} />',
+				errors: [{message: 'Invalid srcset descriptor "2q".', column: 32, endColumn: 34}],
+			},
+			{
+				code: '<img srcSet={"a.jpg\\t2q"} />',
+				errors: [{message: 'Invalid srcset descriptor "2q".', column: 13, endColumn: 26}],
+			},
+			{
+				code: '<img dataSrcSet="a.jpg 2q" />',
+				options: [{attributes: ['dataSrcSet']}],
+				errors: [{message: 'Invalid srcset descriptor "2q".'}],
+			},
+		],
+	});
+});
+
+test('recommended config', () => {
+	assert.deepEqual(plugin.configs.recommended, {
+		plugins: {srcset: plugin},
+		rules: {'srcset/valid-srcset': 'error'},
+	});
+});
@@ -0,0 +1,873 @@
+/**
+ * Sizes Evaluator
+ *
+ * Works out which size a sizes attribute resolves to, in CSS pixels, for a
+ * simulated environment (viewport, font size, pixel density and user
+ * preferences), the way a browser does when it selects an image source.
+ *
+ * Relative lengths are resolved like in media queries: em and rem are
+ * relative to the root font size, and the other font-relative units are
+ * approximated from it.
+ */
+
+import { parseSizesLoose } from "./sizes.js";
+
+// (Don't use \s, to avoid matching non-breaking space)
+// (The leading regexes are sticky, to match at lastIndex without copying the
+// rest of the input)
+// eslint-disable-next-line no-control-regex
+const regexLeadingSpaces = /[ \t\n\r\u000c]+/y;
+// eslint-disable-next-line no-control-regex
+const regexNotSpaces = /[^ \t\n\r\u000c]/;
+const regexLeadingNumber =
+  /([+-]?(?:[0-9]+(?:\.[0-9]+)?|\.[0-9]+)(?:[eE][+-]?[0-9]+)?)(%|[a-zA-Z]+)?/y;
+const regexLeadingIdent = /-?[a-zA-Z_][-a-zA-Z0-9_]*/y;
+const regexLeadingOperator = /(?:<=|>=|[<>=:/*+\-(),])/y;
+
+/**
+ * Returns how many CSS pixels one of unit is worth in environment, or
+ * undefined for units that aren't lengths.
+ */
+function lengthUnitSize(unit, environment) {
+  const { viewportWidth, viewportHeight, rootFontSize } = environment;
+
+  switch (unit) {
+    case "px":
+      return 1;
+    case "em":
+    case "rem":
+    case "ic":
+    case "ric":
+      return rootFontSize;
+    // (Approximations, as there's no font to measure)
+    case "ex":
+    case "rex":
+    case "ch":
+    case "rch":
+    case "cap":
+    case "rcap":
+      return rootFontSize / 2;
+    case "lh":
+    case "rlh":
+      return rootFontSize * 1.2;
+    case "vw":
+    case "svw":
+    case "lvw":
+    case "dvw":
+    case "vi":
+    case "svi":
+    case "lvi":
+    case "dvi":
+      return viewportWidth / 100;
+    case "vh":
+    case "svh":
+    case "lvh":
+    case "dvh":
+    case "vb":
+    case "svb":
+    case "lvb":
+    case "dvb":
+      return viewportHeight / 100;
+    case "vmin":
+    case "svmin":
+    case "lvmin":
+    case "dvmin":
+      return Math.min(viewportWidth, viewportHeight) / 100;
+    case "vmax":
+    case "svmax":
+    case "lvmax":
+    case "dvmax":
+      return Math.max(viewportWidth, viewportHeight) / 100;
+    case "cm":
+      return 96 / 2.54;
+    case "mm":
+      return 96 / 25.4;
+    case "q":
+      return 96 / 101.6;
+    case "in":
+      return 96;
+    case "pt":
+      return 96 / 72;
+    case "pc":
+      return 16;
+  }
+}
+
+/**
+ * Returns how many dots per CSS pixel one of unit is worth, or undefined for
+ * units that aren't resolutions.
+ */
+function resolutionUnitSize(unit) {
+  switch (unit) {
+    case "x":
+    case "dppx":
+      return 1;
+    case "dpi":
+      return 1 / 96;
+    case "dpcm":
+      return 2.54 / 96;
+  }
+}
+
+/**
+ * Splits a media condition or a math expression into tokens: numbers (with
+ * their unit), idents, and operators and brackets.
+ * Returns an array of {type, value, unit}, or undefined if input has
+ * something else in it.
+ */
+function tokenize(input) {
+  const tokens = [];
+  let position = 0;
+
+  function collect(regEx) {
+    regEx.lastIndex = position;
+
+    return regEx.exec(input);
+  }
+
+  while (position < input.length) {
+    let match;
+
+    if ((match = collect(regexLeadingSpaces))) {
+      // (Skip whitespace)
+    } else if ((match = collect(regexLeadingNumber))) {
+      tokens.push({
+        type: "number",
+        value: Number(match[1]),
+        unit: match[2] ? match[2].toLowerCase() : "",
+      });
+    } else if ((match = collect(regexLeadingIdent))) {
+      tokens.push({ type: "ident", value: match[0].toLowerCase() });
+    } else if ((match = collect(regexLeadingOperator))) {
+      tokens.push({ type: match[0] });
+    } else {
+      return;
+    }
+
+    position += match[0].length;
+  }
+
+  return tokens;
+}
+
+/**
+ * A cursor over tokens, for the recursive descent parsers below.
+ * Returns {peek, next, accept, done}.
+ */
+function createReader(tokens) {
+  let index = 0;
+
+  return {
+    peek: (offset = 0) => tokens[index + offset] || { type: "EOF" },
+    next: () => tokens[index++] || { type: "EOF" },
+    accept(type) {
+      if ((tokens[index] || {}).type === type) {
+        index += 1;
+        return true;
+      }
+
+      return false;
+    },
+    done: () => index >= tokens.length,
+  };
+}
+
+// (Thrown while evaluating to give up on the whole expression)
+const invalid = new Error("Invalid expression");
+
+/**
+ * Evaluates a math expression: lengths, numbers, + - * /, parentheses, and
+ * calc(), min(), max() and clamp().
+ * Returns {value, isLength}, with lengths in CSS pixels.
+ */
+function evaluateExpression(reader, environment) {
+  function sum() {
+    let left = product();
+
+    while (reader.peek().type === "+" || reader.peek().type === "-") {
+      const operator = reader.next().type;
+      const right = product();
+
+      if (left.isLength !== right.isLength) {
+        throw invalid;
+      }
+
+      left = {
+        value:
+          operator === "+"
+            ? left.value + right.value
+            : left.value - right.value,
+        isLength: left.isLength,
+      };
+    }
+
+    return left;
+  }
+
+  function product() {
+    let left = operand();
+
+    while (reader.peek().type === "*" || reader.peek().type === "/") {
+      const operator = reader.next().type;
+      const right = operand();
+
+      if (operator === "*" && !(left.isLength && right.isLength)) {
+        left = {
+          value: left.value * right.value,
+          isLength: left.isLength || right.isLength,
+        };
+      } else if (operator === "/" && !right.isLength && right.value !== 0) {
+        left = { value: left.value / right.value, isLength: left.isLength };
+      } else {
+        throw invalid;
+      }
+    }
+
+    return left;
+  }
+
+  // Accepts the ")" that closes a function or parentheses, or the end of the
+  // input, since CSS closes whatever is still open there.
+  function close() {
+    return reader.accept(")") || reader.peek().type === "EOF";
+  }
+
+  function operand() {
+    const token = reader.next();
+
+    if (token.type === "number") {
+      if (!token.unit) {
+        return { value: token.value, isLength: false };
+      }
+
+      const size = lengthUnitSize(token.unit, environment);
+
+      if (size === undefined) {
+        throw invalid;
+      }
+
+      return { value: token.value * size, isLength: true };
+    }
+
+    if (token.type === "(") {
+      const value = sum();
+
+      if (!close()) {
+        throw invalid;
+      }
+
+      return value;
+    }
+
+    if (
+      token.type === "ident" &&
+      ["calc", "min", "max", "clamp"].includes(token.value) &&
+      reader.accept("(")
+    ) {
+      const args = [sum()];
+
+      while (reader.accept(",")) {
+        args.push(sum());
+      }
+
+      if (
+        !close() ||
+        args.some(({ isLength }) => isLength !== args[0].isLength) ||
+        (token.value === "calc" && args.length !== 1) ||
+        (token.value === "clamp" && args.length !== 3)
+      ) {
+        throw invalid;
+      }
+
+      const values = args.map(({ value }) => value);
+      let value;
+
+      if (token.value === "calc") {
+        [value] = values;
+      } else if (token.value === "min") {
+        value = Math.min(...values);
+      } else if (token.value === "max") {
+        value = Math.max(...values);
+      } else {
+        value = Math.max(values[0], Math.min(values[1], values[2]));
+      }
+
+      return { value, isLength: args[0].isLength };
+    }
+
+    throw invalid;
+  }
+
+  return sum();
+}
+
+/**
+ * Resolves a source size value (a length or a math function) to CSS pixels.
+ * Returns a number, or undefined if it isn't a valid length.
+ */
+function resolveLength(input, environment) {
+  const tokens = tokenize(input);
+
+  if (!tokens) {
+    return;
+  }
+
+  const reader = createReader(tokens);
+
+  try {
+    const { value, isLength } = evaluateExpression(reader, environment);
+
+    // (A unitless zero is a length too)
+    if (!reader.done() || (!isLength && value !== 0) || !isFinite(value)) {
+      return;
+    }
+
+    // (Math functions clamp to the allowed range, which excludes negatives)
+    return Math.max(0, value);
+  } catch (error) {
+    if (error !== invalid) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Evaluates the value of a media feature in environment.
+ * Returns {value, type}, where type tells how to read the values it is
+ * compared with, or undefined for unknown features.
+ */
+function mediaFeature(name, environment) {
+  const { viewportWidth, viewportHeight, devicePixelRatio } = environment;
+
+  switch (name) {
+    case "width":
+      return { value: viewportWidth, type: "length" };
+    case "height":
+      return { value: viewportHeight, type: "length" };
+    case "aspect-ratio":
+      return { value: viewportWidth / viewportHeight, type: "ratio" };
+    case "resolution":
+      return { value: devicePixelRatio, type: "resolution" };
+    case "-webkit-device-pixel-ratio":
+      return { value: devicePixelRatio, type: "number" };
+    case "orientation":
+      return {
+        value:
+          environment.orientation ||
+          (viewportHeight >= viewportWidth ? "portrait" : "landscape"),
+        type: "ident",
+      };
+    case "prefers-color-scheme":
+      return { value: environment.prefersColorScheme, type: "ident" };
+    case "prefers-reduced-motion":
+      return { value: environment.prefersReducedMotion, type: "ident" };
+    case "prefers-contrast":
+      return { value: environment.prefersContrast, type: "ident" };
+    case "prefers-reduced-transparency":
+      return { value: environment.prefersReducedTransparency, type: "ident" };
+    case "prefers-reduced-data":
+      return { value: environment.prefersReducedData, type: "ident" };
+  }
+}
+
+/**
+ * Reads the value a media feature is compared with, according to the type of
+ * the feature.
+ * Returns a number or an ident, or undefined if it isn't valid for the type.
+ */
+function mediaValue(reader, type, environment) {
+  const token = reader.next();
+
+  if (type === "ident") {
+    return token.type === "ident" ? token.value : undefined;
+  }
+
+  if (token.type !== "number") {
+    return;
+  }
+
+  if (type === "length") {
+    const size = token.unit
+      ? lengthUnitSize(token.unit, environment)
+      : token.value === 0
+      ? 1
+      : undefined;
+
+    return size === undefined ? undefined : token.value * size;
+  }
+
+  if (type === "resolution") {
+    const size = resolutionUnitSize(token.unit);
+
+    return size === undefined ? undefined : token.value * size;
+  }
+
+  if (token.unit) {
+    return;
+  }
+
+  // (A ratio is a number, optionally divided by another one)
+  if (type === "ratio" && reader.accept("/")) {
+    const denominator = reader.next();
+
+    return denominator.type === "number" && !denominator.unit
+      ? token.value / denominator.value
+      : undefined;
+  }
+
+  return token.value;
+}
+
+function compare(left, operator, right) {
+  switch (operator) {
+    case "<":
+      return left < right;
+    case "<=":
+      return left <= right;
+    case ">":
+      return left > right;
+    case ">=":
+      return left >= right;
+    default:
+      return left === right;
+  }
+}
+
+const flippedOperators = {
+  "<": ">",
+  "<=": ">=",
+  ">": "<",
+  ">=": "<=",
+  "=": "=",
+};
+
+/**
+ * Evaluates a media condition with the three-valued logic of media queries:
+ * unknown features and invalid syntax make (part of) the condition unknown.
+ * Returns true, false, or undefined for unknown.
+ */
+function evaluateCondition(reader, environment) {
+  function condition() {
+    if (reader.peek().type === "ident" && reader.peek().value === "not") {
+      reader.next();
+      const result = inParens();
+
+      return result === undefined ? undefined : !result;
+    }
+
+    let result = inParens();
+    const combinator = reader.peek();
+
+    if (
+      combinator.type !== "ident" ||
+      (combinator.value !== "and" && combinator.value !== "or")
+    ) {
+      return result;
+    }
+
+    while (
+      reader.peek().type === "ident" &&
+      reader.peek().value === combinator.value
+    ) {
+      reader.next();
+      const next = inParens();
+
+      if (combinator.value === "and") {
+        result =
+          result === false || next === false
+            ? false
+            : result && next
+            ? true
+            : undefined;
+      } else {
+        result =
+          result === true || next === true
+            ? true
+            : result === false && next === false
+            ? false
+            : undefined;
+      }
+    }
+
+    return result;
+  }
+
+  // "(" condition ")", "(" feature ")", or anything else in parens, which is
+  // unknown.
+  function inParens() {
+    if (!reader.accept("(")) {
+      throw invalid;
+    }
+
+    let result;
+
+    if (
+      reader.peek().type === "(" ||
+      (reader.peek().type === "ident" && reader.peek().value === "not")
+    ) {
+      result = condition();
+    } else {
+      result = feature();
+    }
+
+    // (Skip to the matching parenthesis whatever happened)
+    for (let depth = 1; depth > 0; ) {
+      const token = reader.next();
+
+      if (token.type === "EOF") {
+        throw invalid;
+      }
+
+      if (token.type === "(") {
+        depth += 1;
+      } else if (token.type === ")") {
+        depth -= 1;
+      } else {
+        result = undefined;
+      }
+    }
+
+    return result;
+  }
+
+  function feature() {
+    // (name), (name: value), (min-name: value), (max-name: value), or
+    // (name op value)
+    if (reader.peek().type === "ident") {
+      const name = reader.next().value;
+      // (-webkit-min-device-pixel-ratio puts its prefix after the vendor one)
+      const prefix = /^(-webkit-)?(min|max)-/.exec(name);
+      const featureName = prefix
+        ? `${prefix[1] || ""}${name.slice(prefix[0].length)}`
+        : name;
+      const current = mediaFeature(featureName, environment);
+
+      if (!current || (prefix && current.type === "ident")) {
+        return;
+      }
+
+      if (reader.peek().type === ")") {
+        // (In a boolean context, a feature is true unless it is zero, none
+        // or no-preference)
+        return prefix
+          ? undefined
+          : ![0, "none", "no-preference"].includes(current.value);
+      }
+
+      const operator = reader.next().type;
+
+      if (operator !== ":" && (prefix || !flippedOperators[operator])) {
+        return;
+      }
+
+      const value = mediaValue(reader, current.type, environment);
+
+      if (
+        value === undefined ||
+        (operator !== ":" && operator !== "=" && current.type === "ident")
+      ) {
+        return;
+      }
+
+      let comparison = operator;
+
+      if (operator === ":") {
+        comparison = !prefix ? "=" : prefix[2] === "min" ? ">=" : "<=";
+      }
+
+      return compare(current.value, comparison, value);
+    }
+
+    // (value op name) or (value op name op value)
+    return range();
+  }
+
+  function range() {
+    const start = reader.peek();
+    // (Look ahead for the feature name to know the type of the values)
+    let index = 0;
+
+    while (![")", "EOF", "ident"].includes(reader.peek(index).type)) {
+      index += 1;
+    }
+
+    const nameToken = reader.peek(index);
+    const current =
+      nameToken.type === "ident"
+        ? mediaFeature(nameToken.value, environment)
+        : undefined;
+
+    if (!current || current.type === "ident" || start.type !== "number") {
+      return;
+    }
+
+    const left = mediaValue(reader, current.type, environment);
+    const leftOperator = reader.next().type;
+
+    if (left === undefined || !flippedOperators[leftOperator]) {
+      return;
+    }
+
+    if (reader.next() !== nameToken) {
+      return;
+    }
+
+    let result = compare(current.value, flippedOperators[leftOperator], left);
+
+    if (reader.peek().type === ")") {
+      return result;
+    }
+
+    const rightOperator = reader.next().type;
+    const right = mediaValue(reader, current.type, environment);
+
+    // (Both comparisons must go the same way)
+    if (
+      right === undefined ||
+      !flippedOperators[rightOperator] ||
+      rightOperator === "=" ||
+      leftOperator[0] !== rightOperator[0]
+    ) {
+      return;
+    }
+
+    result = result && compare(current.value, rightOperator, right);
+
+    return result;
+  }
+
+  return condition();
+}
+
+// (The environment used for what isn't given)
+const environmentDefaults = {
+  mediaType: "screen",
+  rootFontSize: 16,
+  devicePixelRatio: 1,
+  prefersColorScheme: "light",
+  prefersReducedMotion: "no-preference",
+  prefersContrast: "no-preference",
+  prefersReducedTransparency: "no-preference",
+  prefersReducedData: "no-preference",
+};
+
+/**
+ * Fills in the defaults of an environment, for the values that are missing or
+ * undefined.
+ * Returns a new environment.
+ */
+function normalizeEnvironment(environment) {
+  const { viewportWidth, viewportHeight } = environment;
+
+  if (!(viewportWidth >= 0) || !(viewportHeight >= 0)) {
+    throw new TypeError(
+      "Environment must have a viewportWidth and a viewportHeight."
+    );
+  }
+
+  const normalized = { ...environment };
+
+  for (const [name, value] of Object.entries(environmentDefaults)) {
+    if (normalized[name] === undefined) {
+      normalized[name] = value;
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Evaluates a media condition, like "(min-width: 600px) and (orientation:
+ * landscape)" or "(400px <= width < 800px)", in environment.
+ * Unknown features and invalid conditions don't match.
+ * @returns boolean
+ */
+function evaluateMediaCondition(condition, environment) {
+  const normalized = normalizeEnvironment(environment);
+  const tokens = tokenize(condition.toLowerCase());
+
+  if (!tokens) {
+    return false;
+  }
+
+  const reader = createReader(tokens);
+
+  try {
+    const result = evaluateCondition(reader, normalized);
+
+    return reader.done() && result === true;
+  } catch (error) {
+    if (error !== invalid) {
+      throw error;
+    }
+
+    return false;
+  }
+}
+
+/**
+ * Evaluates a media query: a media type, optionally preceded by "not" or
+ * "only" and followed by "and" and a condition, or a media condition on its
+ * own.
+ * Returns true, false, or undefined for unknown, and throws invalid for
+ * invalid syntax.
+ */
+function evaluateMediaQuery(reader, environment) {
+  const first = reader.peek();
+  const second = reader.peek(1);
+
+  if (
+    first.type !== "ident" ||
+    (first.value === "not" && second.type !== "ident")
+  ) {
+    const result = evaluateCondition(reader, environment);
+
+    if (!reader.done()) {
+      throw invalid;
+    }
+
+    return result;
+  }
+
+  // (A modifier, then the media type)
+  const negated = first.value === "not";
+
+  if (negated || first.value === "only") {
+    reader.next();
+  }
+
+  const mediaType = reader.next().value;
+
+  if (["and", "or", "not", "only", "layer"].includes(mediaType)) {
+    throw invalid;
+  }
+
+  let result = mediaType === "all" || mediaType === environment.mediaType;
+
+  if (!reader.done()) {
+    if (reader.next().value !== "and") {
+      throw invalid;
+    }
+
+    const condition = evaluateCondition(reader, environment);
+
+    if (!reader.done()) {
+      throw invalid;
+    }
+
+    result =
+      result === false || condition === false
+        ? false
+        : condition && result
+        ? true
+        : undefined;
+  }
+
+  // (Unknown is false, even under "not")
+  return result === undefined ? false : result !== negated;
+}
+
+/**
+ * Evaluates each media query of a media query list, like "screen and
+ * (min-width: 600px), print", in environment.
+ * Returns an array with, for each query, true, false, or null if it is
+ * invalid (which makes it "not all").
+ */
+function evaluateMediaQueries(queryList, environment) {
+  const normalized = normalizeEnvironment(environment);
+
+  if (!regexNotSpaces.test(queryList)) {
+    return [];
+  }
+
+  // (Split at the commas outside of parentheses, so that one invalid query
+  // leaves the others alone)
+  const queries = [];
+  let queryStart = 0;
+  let depth = 0;
+
+  for (let i = 0; i <= queryList.length; i++) {
+    const c = queryList[i];
+
+    if (c === "(") {
+      depth += 1;
+    } else if (c === ")") {
+      depth = Math.max(0, depth - 1);
+    } else if ((c === "," && depth === 0) || c === undefined) {
+      queries.push(queryList.slice(queryStart, i));
+      queryStart = i + 1;
+    }
+  }
+
+  return queries.map((query) => {
+    const tokens = tokenize(query.toLowerCase());
+
+    if (!tokens || tokens.length === 0) {
+      return null;
+    }
+
+    try {
+      return evaluateMediaQuery(createReader(tokens), normalized) === true;
+    } catch (error) {
+      if (error !== invalid) {
+        throw error;
+      }
+
+      return null;
+    }
+  });
+}
+
+/**
+ * Evaluates a media query list, like the media attribute of a <source>, in
+ * environment. It matches when any of its queries does, or when it is empty.
+ * Invalid queries don't match.
+ * @returns boolean
+ */
+function evaluateMediaQueryList(queryList, environment) {
+  const results = evaluateMediaQueries(queryList, environment);
+
+  return results.length === 0 || results.includes(true);
+}
+
+/**
+ * Evaluates a sizes attribute in environment, like a browser does: the first
+ * source size whose media condition matches wins, invalid ones are skipped,
+ * and when none matches the size is 100vw.
+ * "auto" is only used when environment has an autoSize, the width of the
+ * image as laid out.
+ * @returns number, the size in CSS pixels
+ */
+function evaluateSizes(input, environment) {
+  const normalized = normalizeEnvironment(environment);
+  const { sizes } = parseSizesLoose(input);
+
+  for (const { media, size } of sizes) {
+    if (size.value.toLowerCase() === "auto") {
+      if (normalized.autoSize !== undefined) {
+        return normalized.autoSize;
+      }
+
+      continue;
+    }
+
+    if (media && !evaluateMediaCondition(media.value, normalized)) {
+      continue;
+    }
+
+    const length = resolveLength(size.value, normalized);
+
+    if (length !== undefined) {
+      return length;
+    }
+  }
+
+  return normalized.viewportWidth;
+}
+
+export {
+  evaluateMediaCondition,
+  evaluateMediaQueries,
+  evaluateMediaQueryList,
+  evaluateSizes,
+};
@@ -0,0 +1,142 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {evaluateMediaCondition, evaluateMediaQueryList, evaluateSizes, parseSizes} from './index.js';
+
+const desktop = {viewportWidth: 1024, viewportHeight: 768};
+const phone = {viewportWidth: 375, viewportHeight: 812, devicePixelRatio: 3};
+
+test('media features', () => {
+	const matches = {
+		'(min-width: 600px)': [true, false],
+		'(max-width: 600px)': [false, true],
+		'(width: 1024px)': [true, false],
+		'(min-width: 40em) and (max-width: 64em)': [true, false],
+		'(orientation: landscape)': [true, false],
+		'(orientation: portrait)': [false, true],
+		'(min-resolution: 2dppx)': [false, true],
+		'(min-resolution: 192dpi)': [false, true],
+		'(-webkit-min-device-pixel-ratio: 2)': [false, true],
+		'(min-aspect-ratio: 4/3)': [true, false],
+		'(max-height: 800px)': [true, false],
+		'(width)': [true, true],
+		'(prefers-color-scheme: light)': [true, true],
+		'(prefers-reduced-motion)': [false, false]
+	};
+	for (const [condition, [onDesktop, onPhone]] of Object.entries(matches)) {
+		assert.equal(evaluateMediaCondition(condition, desktop), onDesktop, condition);
+		assert.equal(evaluateMediaCondition(condition, phone), onPhone, condition);
+	}
+});
+
+test('range syntax', () => {
+	assert.equal(evaluateMediaCondition('(width >= 1024px)', desktop), true);
+	assert.equal(evaluateMediaCondition('(width < 1024px)', desktop), false);
+	assert.equal(evaluateMediaCondition('(400px <= width < 1100px)', desktop), true);
+	assert.equal(evaluateMediaCondition('(1100px > width > 400px)', desktop), true);
+	assert.equal(evaluateMediaCondition('(400px < width > 300px)', desktop), false);
+	assert.equal(evaluateMediaCondition('(aspect-ratio > 16/9)', desktop), false);
+});
+
+test('logic and unknown features', () => {
+	assert.equal(evaluateMediaCondition('not (orientation: landscape)', desktop), false);
+	assert.equal(evaluateMediaCondition('(foo) or (min-width: 1px)', desktop), true);
+	assert.equal(evaluateMediaCondition('(foo) and (min-width: 1px)', desktop), false);
+	assert.equal(evaluateMediaCondition('not (foo)', desktop), false);
+	assert.equal(evaluateMediaCondition('((min-width: 1px) or (foo)) and (width > 2px)', desktop), true);
+	assert.equal(evaluateMediaCondition('screen', desktop), false);
+	assert.equal(evaluateMediaCondition('(min-width: 600px', desktop), false);
+});
+
+test('user preferences', () => {
+	const dark = {...desktop, prefersColorScheme: 'dark', prefersReducedMotion: 'reduce'};
+	assert.equal(evaluateMediaCondition('(prefers-color-scheme: dark)', dark), true);
+	assert.equal(evaluateMediaCondition('(prefers-reduced-motion)', dark), true);
+	assert.equal(evaluateMediaCondition('(prefers-reduced-motion: no-preference)', dark), false);
+});
+
+test('media query lists', () => {
+	const matches = {
+		'': [true, true],
+		'all': [true, true],
+		'screen': [true, true],
+		'print': [false, false],
+		'not print': [true, true],
+		'not screen': [false, false],
+		'only screen and (min-width: 600px)': [true, false],
+		'screen and (max-width: 600px) and (orientation: portrait)': [false, true],
+		'not screen and (min-width: 600px)': [false, true],
+		'(min-width: 600px)': [true, false],
+		'print, (max-width: 600px)': [false, true],
+		'tv': [false, false],
+		'screen and (unknown: 1)': [false, false],
+		'not screen and (unknown: 1)': [false, false],
+		'(max-width: 600px), ???': [false, true],
+		'screen and': [false, false],
+		'screen (min-width: 1px)': [false, false],
+		'and': [false, false],
+		'(min-width: 1px),': [true, true],
+	};
+	for (const [queryList, [onDesktop, onPhone]] of Object.entries(matches)) {
+		assert.equal(evaluateMediaQueryList(queryList, desktop), onDesktop, queryList);
+		assert.equal(evaluateMediaQueryList(queryList, phone), onPhone, queryList);
+	}
+	assert.equal(evaluateMediaQueryList('print', {...desktop, mediaType: 'print'}), true);
+	assert.equal(evaluateMediaQueryList('screen', {...desktop, mediaType: 'print'}), false);
+});
+
+test('picks the first matching size', () => {
+	const sizes = '(max-width: 600px) 480px, (max-width: 1200px) 50vw, 800px';
+	assert.equal(evaluateSizes(sizes, desktop), 512);
+	assert.equal(evaluateSizes(sizes, phone), 480);
+	assert.equal(evaluateSizes(sizes, {viewportWidth: 1600, viewportHeight: 900}), 800);
+});
+
+test('lengths', () => {
+	assert.equal(evaluateSizes('50em', desktop), 800);
+	assert.equal(evaluateSizes('10rem', {...desktop, rootFontSize: 20}), 200);
+	assert.equal(evaluateSizes('50vh', desktop), 384);
+	assert.equal(evaluateSizes('10vmin', desktop), 76.8);
+	assert.equal(evaluateSizes('1in', desktop), 96);
+	assert.equal(evaluateSizes('0', desktop), 0);
+});
+
+test('math functions', () => {
+	assert.equal(evaluateSizes('calc(50vw - 2em)', desktop), 480);
+	assert.equal(evaluateSizes('calc((100vw - 40px) / 3)', desktop), 328);
+	assert.equal(evaluateSizes('calc(2 * 100px)', desktop), 200);
+	assert.equal(evaluateSizes('min(100px, 50vw)', desktop), 100);
+	assert.equal(evaluateSizes('max(10vh, 5rem)', desktop), 80);
+	assert.equal(evaluateSizes('clamp(200px, 30vw, 400px)', desktop), 307.2);
+	assert.equal(evaluateSizes('calc(min(50vw, 600px) + 10px)', desktop), 522);
+	assert.equal(evaluateSizes('calc(10px - 20px)', desktop), 0);
+});
+
+test('math functions left open at the end', () => {
+	const sizes = 'calc(100vw - 10px';
+	assert.deepEqual(parseSizes(sizes).map(({size}) => size.value), [sizes]);
+	assert.equal(evaluateSizes(sizes, {viewportWidth: 1000, viewportHeight: 500}), 990);
+	assert.equal(evaluateSizes('(min-width: 1px) min(50vw, calc((100vw - 24px', desktop), 512);
+	assert.equal(evaluateSizes('(min-width: 1px) calc(100vw - 10px)), 10px', desktop), 10);
+});
+
+test('skips what a browser skips', () => {
+	assert.equal(evaluateSizes('(min-width: 1px) calc(1px + 2), 10px', desktop), 10);
+	assert.equal(evaluateSizes('foo, (min-width: 1px) 10px', desktop), 10);
+	assert.equal(evaluateSizes('(max-width: 600px) 100vw', desktop), 1024);
+	assert.equal(evaluateSizes('', desktop), 1024);
+});
+
+test('auto', () => {
+	assert.equal(evaluateSizes('auto, 33vw', desktop), 337.92);
+	assert.equal(evaluateSizes('auto, 33vw', {...desktop, autoSize: 321}), 321);
+});
+
+test('undefined values of the environment get the defaults', () => {
+	const environment = {viewportWidth: 1000, viewportHeight: 500, rootFontSize: undefined, devicePixelRatio: undefined};
+	assert.equal(evaluateSizes('50em', environment), 800);
+	assert.equal(evaluateMediaCondition('(resolution: 1dppx)', environment), true);
+});
+
+test('requires a viewport', () => {
+	assert.throws(() => evaluateSizes('100vw', {}), TypeError);
+});
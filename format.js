@@ -0,0 +1,78 @@
+/**
+ * Srcset Formatter
+ *
+ * Prints a srcset on one line when it fits, and otherwise one candidate per
+ * line with the descriptors lined up, the way Prettier prints srcset
+ * attributes.
+ */
+
+import parseSrcset from "./index.js";
+import { serializeCandidate } from "./stringify.js";
+
+/**
+ * Returns how many characters of descriptor come before its decimal point
+ * (or its unit, when there's no decimal point), so numbers can be aligned on
+ * it.
+ */
+function leftLength(descriptor) {
+  const index = descriptor.indexOf(".");
+
+  return index === -1 ? descriptor.length - 1 : index;
+}
+
+/**
+ * Formats a srcset string.
+ * When the value doesn't fit in printWidth, every candidate goes on its own
+ * line, preceded by indent, with a line break before the first one and after
+ * the last one.
+ * @returns string
+ */
+function formatSrcset(input, options = {}) {
+  const {
+    printWidth = 80,
+    indent = "  ",
+    alignDescriptors = true,
+    trailingComma = false,
+  } = options;
+  const indentation = typeof indent === "number" ? " ".repeat(indent) : indent;
+
+  const candidates = parseSrcset(input).map((candidate) =>
+    serializeCandidate(candidate, false)
+  );
+
+  const singleLine = candidates
+    .map(({ url, descriptors }) => [url, ...descriptors].join(" "))
+    .join(", ");
+
+  if (singleLine.length <= printWidth) {
+    return singleLine;
+  }
+
+  const maxUrlLength = Math.max(...candidates.map(({ url }) => url.length));
+  const leftLengths = candidates.map(({ descriptors }) =>
+    descriptors.length > 0 ? leftLength(descriptors[0]) : 0
+  );
+  const maxLeftLength = Math.max(...leftLengths);
+
+  const lines = candidates.map(({ url, descriptors }, index) => {
+    if (descriptors.length === 0) {
+      return url;
+    }
+
+    // (Pad the url to the longest one, then pad the number so the decimal
+    // points line up)
+    const padding = alignDescriptors
+      ? maxUrlLength - url.length + 1 + maxLeftLength - leftLengths[index]
+      : 1;
+
+    return `${url}${" ".repeat(padding)}${descriptors.join(" ")}`;
+  });
+
+  if (trailingComma) {
+    lines[lines.length - 1] += ",";
+  }
+
+  return `\n${indentation}${lines.join(`,\n${indentation}`)}\n`;
+}
+
+export { formatSrcset };
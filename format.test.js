@@ -0,0 +1,54 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {formatSrcset} from './index.js';
+
+test('keeps values that fit on one line', () => {
+	assert.equal(formatSrcset(' a.jpg   1x ,\n b.jpg 2.0x'), 'a.jpg 1x, b.jpg 2x');
+	assert.equal(formatSrcset('a.jpg 1x, b.jpg 2x', {printWidth: 18}), 'a.jpg 1x, b.jpg 2x');
+});
+
+test('breaks long values one candidate per line', () => {
+	assert.equal(
+		formatSrcset('a.jpg 1x, b.jpg 2x', {printWidth: 17}),
+		'\n  a.jpg 1x,\n  b.jpg 2x\n'
+	);
+});
+
+test('aligns descriptors on the decimal point', () => {
+	assert.equal(
+		formatSrcset(
+			'https://example.com/images/hero-small.jpg 1x, https://example.com/images/hero.jpg 1.5x, https://example.com/images/hero-large.jpg 10x'
+		),
+		[
+			'',
+			'  https://example.com/images/hero-small.jpg  1x,',
+			'  https://example.com/images/hero.jpg        1.5x,',
+			'  https://example.com/images/hero-large.jpg 10x',
+			''
+		].join('\n')
+	);
+	assert.equal(
+		formatSrcset('a.jpg 320w 100h, long-name.jpg 1280w, c.jpg', {printWidth: 10}),
+		'\n  a.jpg          320w 100h,\n  long-name.jpg 1280w,\n  c.jpg\n'
+	);
+});
+
+test('options', () => {
+	const input = 'a.jpg 320w, long-name.jpg 1280w';
+	assert.equal(
+		formatSrcset(input, {printWidth: 10, alignDescriptors: false}),
+		'\n  a.jpg 320w,\n  long-name.jpg 1280w\n'
+	);
+	assert.equal(
+		formatSrcset(input, {printWidth: 10, indent: '\t', trailingComma: true}),
+		'\n\ta.jpg          320w,\n\tlong-name.jpg 1280w,\n'
+	);
+	assert.equal(
+		formatSrcset(input, {printWidth: 10, indent: 4}),
+		'\n    a.jpg          320w,\n    long-name.jpg 1280w\n'
+	);
+});
+
+test('throws on invalid srcset', () => {
+	assert.throws(() => formatSrcset('a.jpg foo'), {code: 'INVALID_DESCRIPTOR'});
+});
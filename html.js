@@ -0,0 +1,197 @@
+/**
+ * HTML Attribute Values
+ *
+ * Decodes the character references of raw attribute text, like "&amp;" or
+ * "&#x9;", keeping track of where each character comes from, following the
+ * character reference state of the HTML tokenizer at:
+ * https://html.spec.whatwg.org/multipage/parsing.html#character-reference-state
+ *
+ * Comments in quotes are copied from the spec.
+ */
+
+import { namedReferences } from "./entities.js";
+
+const regexAlphanumeric = /[0-9A-Za-z]/;
+const regexHexDigits = /[0-9A-Fa-f]+/y;
+const regexDigits = /[0-9]+/y;
+// (The longest name, "CounterClockwiseContourIntegral;")
+const longestName = 32;
+
+// "If the number is one of the numbers in the first column of the following
+// table, then find the row with that number in the first column, and set the
+// character reference code to the number in the second column of that row."
+const c1Replacements = {
+  0x80: 0x20ac,
+  0x82: 0x201a,
+  0x83: 0x0192,
+  0x84: 0x201e,
+  0x85: 0x2026,
+  0x86: 0x2020,
+  0x87: 0x2021,
+  0x88: 0x02c6,
+  0x89: 0x2030,
+  0x8a: 0x0160,
+  0x8b: 0x2039,
+  0x8c: 0x0152,
+  0x8e: 0x017d,
+  0x91: 0x2018,
+  0x92: 0x2019,
+  0x93: 0x201c,
+  0x94: 0x201d,
+  0x95: 0x2022,
+  0x96: 0x2013,
+  0x97: 0x2014,
+  0x98: 0x02dc,
+  0x99: 0x2122,
+  0x9a: 0x0161,
+  0x9b: 0x203a,
+  0x9c: 0x0153,
+  0x9e: 0x017e,
+  0x9f: 0x0178,
+};
+
+/**
+ * Works out the character of a numeric character reference, with the
+ * replacements of the "numeric character reference end state".
+ * Returns a string.
+ */
+function numericCharacter(code) {
+  // "If the number is 0x00 [...] greater than 0x10FFFF [...] a surrogate
+  // [...] set the character reference code to 0xFFFD."
+  if (code === 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) {
+    return "\uFFFD";
+  }
+
+  return String.fromCodePoint(c1Replacements[code] || code);
+}
+
+/**
+ * Finds the longest name of a named character reference at position in raw.
+ * Returns the name, or undefined.
+ */
+function matchName(raw, position) {
+  const text = raw.slice(position, position + longestName);
+
+  for (let length = text.length; length > 0; length--) {
+    const name = text.slice(0, length);
+
+    if (Object.hasOwn(namedReferences, name)) {
+      return name;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Reads the character reference that starts with the "&" at position in raw,
+ * as in an attribute value.
+ * Returns {value, length}, or undefined if the "&" doesn't start one.
+ */
+function characterReference(raw, position) {
+  const start = position + 1;
+
+  if (raw[start] === "#") {
+    const hex = raw[start + 1] === "x" || raw[start + 1] === "X";
+    const regEx = hex ? regexHexDigits : regexDigits;
+    const digitsStart = start + (hex ? 2 : 1);
+
+    regEx.lastIndex = digitsStart;
+    const match = regEx.exec(raw);
+
+    // "absence-of-digits-in-numeric-character-reference parse error [...]
+    // Flush code points consumed as a character reference."
+    if (!match) {
+      return undefined;
+    }
+
+    const end = digitsStart + match[0].length;
+
+    return {
+      value: numericCharacter(parseInt(match[0], hex ? 16 : 10)),
+      // ("missing-semicolon-after-character-reference parse error", but the
+      // reference counts)
+      length: end + (raw[end] === ";" ? 1 : 0) - position,
+    };
+  }
+
+  const name = matchName(raw, start);
+
+  if (!name) {
+    return undefined;
+  }
+
+  const next = raw[start + name.length];
+
+  // "If the character reference was consumed as part of an attribute, and
+  // the last character matched is not a U+003B SEMICOLON character (;), and
+  // the next input character is either a U+003D EQUALS SIGN character (=) or
+  // an ASCII alphanumeric, then, for historical reasons, flush code points
+  // consumed as a character reference"
+  if (
+    !name.endsWith(";") &&
+    next !== undefined &&
+    (next === "=" || regexAlphanumeric.test(next))
+  ) {
+    return undefined;
+  }
+
+  return { value: namedReferences[name], length: name.length + 1 };
+}
+
+/**
+ * Decodes the character references of raw attribute text, which may include
+ * the quotes around the attribute value.
+ * Returns {value, offsets}, where offsets[i] is the offset in raw of the
+ * character reference, or character, that gives the i-th character of value,
+ * and offsets[value.length] is where the attribute value ends in raw.
+ */
+function decodeAttributeValue(raw) {
+  // (An unquoted attribute value can't start with a quote)
+  const quoted =
+    raw.length >= 2 &&
+    (raw[0] === '"' || raw[0] === "'") &&
+    raw[raw.length - 1] === raw[0];
+  let position = quoted ? 1 : 0;
+  const end = quoted ? raw.length - 1 : raw.length;
+  let value = "";
+  const offsets = [];
+
+  while (position < end) {
+    const ampersand = raw.indexOf("&", position);
+    const textEnd = ampersand === -1 || ampersand >= end ? end : ampersand;
+
+    value += raw.slice(position, textEnd);
+
+    for (; position < textEnd; position++) {
+      offsets.push(position);
+    }
+
+    if (position === end) {
+      break;
+    }
+
+    const reference = characterReference(raw, position);
+
+    if (reference) {
+      value += reference.value;
+
+      // (A reference can stand for two code units, or two characters)
+      for (let i = 0; i < reference.value.length; i++) {
+        offsets.push(position);
+      }
+
+      position += reference.length;
+    } else {
+      value += "&";
+      offsets.push(position);
+      position += 1;
+    }
+  }
+
+  offsets.push(end);
+
+  return { value, offsets };
+}
+
+export { decodeAttributeValue };
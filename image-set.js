@@ -0,0 +1,294 @@
+/**
+ * Image Set Parser
+ *
+ * JS Parser for the CSS image-set() function, and its legacy
+ * -webkit-image-set() alias:
+ * https://drafts.csswg.org/css-images-4/#image-set-notation
+ *
+ * Comments in quotes are copied from the spec.
+ */
+
+import { SrcsetParseError } from "./index.js";
+import { tokenize } from "./sizes.js";
+
+const regexResolution =
+  /^\+?((?:[0-9]+|[0-9]*\.[0-9]+)(?:[eE][+-]?[0-9]+)?)(x|dppx|dpi|dpcm)$/i;
+const regexNegativeResolution =
+  /^-(?:[0-9]+|[0-9]*\.[0-9]+)(?:[eE][+-]?[0-9]+)?(?:x|dppx|dpi|dpcm)$/i;
+// (Don't use \s, to avoid matching non-breaking space)
+// eslint-disable-next-line no-control-regex
+const regexSpaces = /^[ \t\n\r\u000c]*|[ \t\n\r\u000c]*$/g;
+// (An escaped code point, an escaped newline, or any other escaped character)
+const regexEscape =
+  /\\(?:([0-9a-fA-F]{1,6})(?:\r\n|[ \t\n\r\u000c])?|\n|(.))/gs;
+
+const imageSetFunctions = new Set(["image-set", "-webkit-image-set"]);
+
+// (Dots per CSS pixel, which is the same as an x descriptor)
+const resolutionUnitSize = { x: 1, dppx: 1, dpi: 1 / 96, dpcm: 2.54 / 96 };
+
+/**
+ * Replaces CSS escapes in the contents of a string or url().
+ * Returns a string.
+ */
+function unescape(value) {
+  return value.replace(regexEscape, (escape, hex, character) => {
+    if (hex) {
+      const codePoint = parseInt(hex, 16);
+
+      // (Like the CSS tokenizer, replace invalid code points)
+      return codePoint === 0 ||
+        codePoint > 0x10ffff ||
+        (codePoint >= 0xd800 && codePoint <= 0xdfff)
+        ? "�"
+        : String.fromCodePoint(codePoint);
+    }
+
+    // (An escaped newline is removed from strings)
+    return character === undefined ? "" : character;
+  });
+}
+
+/**
+ * Reads the value of a quoted string component, without its quotes.
+ * Returns a string.
+ */
+function stringValue({ value }) {
+  const closed = value.length > 1 && value.endsWith(value[0]);
+
+  return unescape(value.slice(1, closed ? -1 : undefined));
+}
+
+/**
+ * Reads the name of a function component, in lowercase.
+ * Returns a string.
+ */
+function functionName({ value }) {
+  return value.slice(0, value.indexOf("(")).toLowerCase();
+}
+
+/**
+ * Splits the arguments of a function component into component values, with
+ * offsets in the whole input.
+ * Returns an array of {type, value, startOffset, endOffset}.
+ */
+function functionArguments(component) {
+  const { value, startOffset } = component;
+  const argumentsStart = value.indexOf("(") + 1;
+  const argumentsEnd = value.endsWith(")") ? value.length - 1 : value.length;
+
+  return tokenize(value.slice(argumentsStart, argumentsEnd)).map(
+    (argument) => ({
+      ...argument,
+      startOffset: argument.startOffset + startOffset + argumentsStart,
+      endOffset: argument.endOffset + startOffset + argumentsStart,
+    })
+  );
+}
+
+/**
+ * Parses a CSS image-set() or -webkit-image-set() value into image
+ * candidates, with densities in x, and the type() of each, if any.
+ * Throws a SrcsetParseError for invalid values.
+ * @returns Array [{source, density?, type?, startOffset, endOffset}, ...]
+ */
+function parseImageSet(input) {
+  function fail(code, message, range, candidateIndex) {
+    throw new SrcsetParseError(code, message, {
+      input,
+      startOffset: range.startOffset,
+      endOffset: range.endOffset,
+      candidateIndex,
+    });
+  }
+
+  const components = tokenize(input).filter(
+    ({ type }) => type !== "whitespace"
+  );
+  const [imageSet] = components;
+
+  if (
+    components.length !== 1 ||
+    imageSet.type !== "function" ||
+    !imageSetFunctions.has(functionName(imageSet))
+  ) {
+    fail(
+      "INVALID_IMAGE_SET",
+      "Must be an image-set() or -webkit-image-set() function.",
+      { startOffset: 0, endOffset: input.length },
+      null
+    );
+  }
+
+  if (!imageSet.value.endsWith(")")) {
+    fail(
+      "UNCLOSED_PAREN",
+      "Unclosed parenthesis in image-set().",
+      imageSet,
+      null
+    );
+  }
+
+  // "image-set() = image-set( <image-set-option># )"
+  // (Each option also keeps the comma that ends it, if any, for offsets)
+  const options = [{ components: [] }];
+
+  for (const component of functionArguments(imageSet)) {
+    const option = options[options.length - 1];
+
+    if (component.type === "comma") {
+      option.comma = component;
+      options.push({ components: [] });
+    } else if (component.type !== "whitespace") {
+      option.components.push(component);
+    }
+  }
+
+  if (options.length === 1 && options[0].components.length === 0) {
+    fail(
+      "EMPTY_INPUT",
+      "Must contain one or more image set options.",
+      imageSet,
+      null
+    );
+  }
+
+  return options.map(({ components, comma }, index) => {
+    // (Unlike srcset, CSS has no empty list items: the whole value is invalid)
+    if (components.length === 0) {
+      fail(
+        "INVALID_IMAGE_SET",
+        "Image set options must not be empty.",
+        // (A trailing comma has no comma after it)
+        comma || options[index - 1].comma,
+        index
+      );
+    }
+
+    const [image, ...descriptors] = components;
+    let source;
+
+    // "<image-set-option> = [ <image> | <string> ]
+    //                       [ <resolution> || type(<string>) ]?"
+    // (Only the images that are URLs can be candidates)
+    if (image.type === "string") {
+      source = stringValue(image);
+    } else if (image.type === "function" && functionName(image) === "url") {
+      const [argument, ...rest] = functionArguments(image).filter(
+        ({ type }) => type !== "whitespace"
+      );
+
+      // (url() with a string argument, or an unquoted url token)
+      source =
+        argument && argument.type === "string" && rest.length === 0
+          ? stringValue(argument)
+          : unescape(
+              image.value.slice(4, image.value.endsWith(")") ? -1 : undefined)
+            ).replace(regexSpaces, "");
+    } else {
+      fail(
+        "INVALID_IMAGE_SOURCE",
+        `Invalid image set source "${image.value}", only URLs and strings are supported.`,
+        image,
+        index
+      );
+    }
+
+    const candidate = {
+      source: {
+        value: source,
+        startOffset: image.startOffset,
+        endOffset: image.endOffset,
+      },
+    };
+
+    for (const descriptor of descriptors) {
+      const { value, startOffset, endOffset } = descriptor;
+      const match = descriptor.type === "token" && regexResolution.exec(value);
+
+      if (match) {
+        if (candidate.density) {
+          fail(
+            "DUPLICATE_DESCRIPTOR",
+            `Duplicate resolution "${value}".`,
+            descriptor,
+            index
+          );
+        }
+
+        const density =
+          parseFloat(match[1]) * resolutionUnitSize[match[2].toLowerCase()];
+
+        // (These are the candidates of a srcset, where a density is "a valid
+        // floating-point number giving a number greater than zero")
+        if (density === 0) {
+          fail(
+            "ZERO_DENSITY",
+            `Resolution "${value}" must be greater than zero.`,
+            descriptor,
+            index
+          );
+        }
+
+        candidate.density = { value: density, startOffset, endOffset };
+      } else if (
+        descriptor.type === "token" &&
+        regexNegativeResolution.test(value)
+      ) {
+        fail(
+          "NEGATIVE_DENSITY",
+          `Resolution "${value}" must not be negative.`,
+          descriptor,
+          index
+        );
+      } else if (
+        descriptor.type === "function" &&
+        functionName(descriptor) === "type"
+      ) {
+        const [argument, ...rest] = functionArguments(descriptor).filter(
+          ({ type }) => type !== "whitespace"
+        );
+
+        if (!argument || argument.type !== "string" || rest.length > 0) {
+          fail(
+            "INVALID_DESCRIPTOR",
+            `Invalid type "${value}", it must contain a single string.`,
+            descriptor,
+            index
+          );
+        }
+
+        if (candidate.type) {
+          fail(
+            "DUPLICATE_DESCRIPTOR",
+            `Duplicate type "${value}".`,
+            descriptor,
+            index
+          );
+        }
+
+        candidate.type = {
+          value: stringValue(argument),
+          startOffset,
+          endOffset,
+        };
+      } else {
+        fail(
+          "INVALID_DESCRIPTOR",
+          `Invalid image set descriptor "${value}".`,
+          descriptor,
+          index
+        );
+      }
+    }
+
+    candidate.startOffset = image.startOffset;
+    candidate.endOffset = comma
+      ? comma.endOffset
+      : components[components.length - 1].endOffset;
+
+    return candidate;
+  });
+}
+
+export { parseImageSet };
@@ -0,0 +1,97 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {parseImageSet, SrcsetParseError} from './index.js';
+
+const summarize = value => parseImageSet(value).map(({source, density, type}) => [
+	source.value,
+	density && density.value,
+	type && type.value,
+]);
+
+const assertError = (value, code, startOffset, endOffset) => {
+	assert.throws(() => parseImageSet(value), error => {
+		assert.ok(error instanceof SrcsetParseError);
+		assert.equal(error.code, code);
+		assert.equal(error.startOffset, startOffset);
+		assert.equal(error.endOffset, endOffset);
+		return true;
+	});
+};
+
+test('offsets', () => {
+	assert.deepEqual(parseImageSet('image-set("a.png" 1x, url(b.png) 2x)'), [
+		{
+			source: {value: 'a.png', startOffset: 10, endOffset: 17},
+			density: {value: 1, startOffset: 18, endOffset: 20},
+			startOffset: 10,
+			endOffset: 21,
+		},
+		{
+			source: {value: 'b.png', startOffset: 22, endOffset: 32},
+			density: {value: 2, startOffset: 33, endOffset: 35},
+			startOffset: 22,
+			endOffset: 35,
+		},
+	]);
+});
+
+test('sources', () => {
+	assert.deepEqual(summarize('image-set("a.png", \'b.png\' 2x)'), [['a.png', undefined, undefined], ['b.png', 2, undefined]]);
+	assert.deepEqual(summarize('image-set(url(a.png), url( b.png ) 2x, URL("c.png") 3x, url( \'d.png\' ) 4x)'), [
+		['a.png', undefined, undefined],
+		['b.png', 2, undefined],
+		['c.png', 3, undefined],
+		['d.png', 4, undefined],
+	]);
+	assert.deepEqual(summarize('image-set(url(data:image/png;base64,iVBORw0=) 1x)'), [['data:image/png;base64,iVBORw0=', 1, undefined]]);
+});
+
+test('escapes', () => {
+	assert.deepEqual(summarize('image-set("a\\"b.png", url(c\\20 d.png), "e\\\nf.png")'), [
+		['a"b.png', undefined, undefined],
+		['c d.png', undefined, undefined],
+		['ef.png', undefined, undefined],
+	]);
+});
+
+test('resolutions', () => {
+	assert.deepEqual(summarize('image-set("a" 1.5x, "b" 2dppx, "c" 192dpi, "d" 2DPPX, "e" +3x, "f" 1e1x)').map(([, density]) => density), [1.5, 2, 2, 2, 3, 10]);
+	assert.ok(Math.abs(summarize('image-set("a" 37.8dpcm)')[0][1] - 1) < 0.001);
+});
+
+test('type()', () => {
+	assert.deepEqual(summarize('image-set("a.avif" type("image/avif") 2x, "a.jpg" 2x type(\'image/jpeg\'))'), [
+		['a.avif', 2, 'image/avif'],
+		['a.jpg', 2, 'image/jpeg'],
+	]);
+	assert.deepEqual(parseImageSet('image-set("a" type("image/avif"))')[0].type, {value: 'image/avif', startOffset: 14, endOffset: 32});
+});
+
+test('-webkit-image-set()', () => {
+	assert.deepEqual(summarize('-webkit-image-set(url(a.png) 1x, url(b.png) 2x)'), [['a.png', 1, undefined], ['b.png', 2, undefined]]);
+	assert.deepEqual(summarize('  IMAGE-SET("a.png" 1x)  '), [['a.png', 1, undefined]]);
+});
+
+test('invalid values', () => {
+	assertError('', 'INVALID_IMAGE_SET', 0, 0);
+	assertError('url(a.png)', 'INVALID_IMAGE_SET', 0, 10);
+	assertError('image-set("a" 1x) image-set("b" 1x)', 'INVALID_IMAGE_SET', 0, 35);
+	assertError('image-set()', 'EMPTY_INPUT', 0, 11);
+	assertError('image-set("a" 1x', 'UNCLOSED_PAREN', 0, 16);
+	assertError('image-set("a" 1x,)', 'INVALID_IMAGE_SET', 16, 17);
+	assertError('image-set(, "a" 1x)', 'INVALID_IMAGE_SET', 10, 11);
+	assertError('image-set(a.png 1x)', 'INVALID_IMAGE_SOURCE', 10, 15);
+	assertError('image-set(linear-gradient(red, blue) 1x)', 'INVALID_IMAGE_SOURCE', 10, 36);
+	assertError('image-set("a" 1w)', 'INVALID_DESCRIPTOR', 14, 16);
+	assertError('image-set("a" 1x 2x)', 'DUPLICATE_DESCRIPTOR', 17, 19);
+	assertError('image-set("a" type("a") type("b"))', 'DUPLICATE_DESCRIPTOR', 24, 33);
+	assertError('image-set("a" type(a))', 'INVALID_DESCRIPTOR', 14, 21);
+	assertError('image-set("a" -1x)', 'NEGATIVE_DENSITY', 14, 17);
+	assertError('image-set("a.png" 0x)', 'ZERO_DENSITY', 18, 20);
+	assertError('image-set("a" 1x, "b" 0.0dpi)', 'ZERO_DENSITY', 22, 28);
+});
+
+test('candidate index', () => {
+	assert.throws(() => parseImageSet('image-set("a" 1x, "b" 2w)'), {candidateIndex: 1});
+	assert.throws(() => parseImageSet('image-set()'), {candidateIndex: null});
+});
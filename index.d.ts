@@ -1,17 +1,75 @@
+export type SourcePosition = {
+  /** Starts at 1. */
+  line: number;
+  /** Starts at 0, counted in the same unit as offsets. */
+  column: number;
+};
+
+/** Like ESTree's `SourceLocation`, without `source`. */
+export type SourceLocation = {
+  start: SourcePosition;
+  end: SourcePosition;
+};
+
 export type Candidate = {
   source: {
     value: string;
     startOffset: number;
+    endOffset: number;
+    loc?: SourceLocation;
   };
   width?: {
     value: number;
+    startOffset: number;
+    endOffset: number;
+    loc?: SourceLocation;
   };
   height?: {
     value: number;
+    startOffset: number;
+    endOffset: number;
+    loc?: SourceLocation;
   };
   density?: {
     value: number;
+    startOffset: number;
+    endOffset: number;
+    loc?: SourceLocation;
   };
+  /** The intrinsic aspect ratio, `width / height`, when the candidate has both. */
+  aspectRatio?: number;
+  /** Where the image candidate string starts. */
+  startOffset: number;
+  /** Where the image candidate string ends, including its separating comma if it has one. */
+  endOffset: number;
+  /** With the `loc` option. */
+  loc?: SourceLocation;
+};
+
+export type ParseOptions = {
+  /**
+  Parse the raw text of an HTML attribute, optionally with the quotes around it: character references such as `&amp;` or `&#x9;` are decoded, and every offset, including those of errors, points into the raw text.
+  @default false
+  */
+  html?: boolean;
+
+  /**
+  Add an ESTree-style `loc`, with the line and column where they start and end, to candidates, URLs, descriptors and errors. Lines start at 1 and columns at 0. LF, CR LF and CR are line breaks.
+  @default false
+  */
+  loc?: boolean;
+
+  /**
+  The unit of offsets and columns: UTF-16 code units, like string indexes, code points, or UTF-8 bytes.
+  @default "utf16"
+  */
+  offsetUnit?: "utf16" | "codePoint" | "utf8";
+
+  /**
+  Follow the spec's rule that an `h` descriptor needs a `w` descriptor: a candidate with a height but no width is an error, `HEIGHT_WITHOUT_WIDTH`.
+  @default false
+  */
+  strict?: boolean;
 };
 
 /**
@@ -20,8 +78,10 @@ Parses the string value that appears in markup `<img srcset="here">`.
 @description A javascript parser for the [HTML5 srcset](http://www.w3.org/TR/html-srcset/) attribute, based on the [WHATWG reference algorithm](https://html.spec.whatwg.org/multipage/embedded-content.html#parse-a-srcset-attribute). It has an extensive test suite based on the [W3C srcset conformance checker](http://w3c-test.org/html/semantics/embedded-content/the-img-element/srcset/parse-a-srcset-attribute.html)
 
 @param {string} input - The string value to parse.
+@param {ParseOptions} [options]
 @returns {Candidate[]} An array of objects representing the image candidates.
-@throws {Error} If the input string is empty or does not contain any image candidate strings.
+@throws {SrcsetParseError} If the input string does not contain any image candidate strings, or a candidate has an invalid descriptor.
+@throws {TypeError} If `offsetUnit` is unknown.
 
 @example
 ```ts
@@ -30,16 +90,1081 @@ import parseSrcset from "@prettier/parse-srcset";
 parseSrcset('elva-fairy-320w.jpg, elva-fairy-480w.jpg 1.5x, elva-fairy-640w.jpg 2x');
 // output:
 [
-  { source: { value: 'elva-fairy-320w.jpg', startOffset: 0 } },
   {
-    source: { value: 'elva-fairy-480w.jpg', startOffset: 21 },
-    density: { value: 1.5 }
+    source: { value: 'elva-fairy-320w.jpg', startOffset: 0, endOffset: 19 },
+    startOffset: 0,
+    endOffset: 20
+  },
+  {
+    source: { value: 'elva-fairy-480w.jpg', startOffset: 21, endOffset: 40 },
+    density: { value: 1.5, startOffset: 41, endOffset: 45 },
+    startOffset: 21,
+    endOffset: 46
+  },
+  {
+    source: { value: 'elva-fairy-640w.jpg', startOffset: 47, endOffset: 66 },
+    density: { value: 2, startOffset: 67, endOffset: 69 },
+    startOffset: 47,
+    endOffset: 69
+  }
+]
+```
+*/
+export default function parseSrcset(
+  input: string,
+  options?: ParseOptions
+): Candidate[];
+
+export type SrcsetParseErrorCode =
+  | "EMPTY_INPUT"
+  | "INVALID_DESCRIPTOR"
+  | "DUPLICATE_DESCRIPTOR"
+  | "CONFLICTING_DESCRIPTORS"
+  | "ZERO_WIDTH"
+  | "ZERO_HEIGHT"
+  | "NEGATIVE_DENSITY"
+  | "UNCLOSED_PAREN"
+  // (With the `strict` option)
+  | "HEIGHT_WITHOUT_WIDTH"
+  // (For sizes attributes)
+  | "INVALID_SIZE_VALUE"
+  | "NEGATIVE_SIZE_VALUE"
+  | "INVALID_MEDIA_CONDITION"
+  | "MISPLACED_AUTO"
+  | "UNREACHABLE_SIZE"
+  // (For image-set() values)
+  | "INVALID_IMAGE_SET"
+  | "INVALID_IMAGE_SOURCE"
+  | "ZERO_DENSITY"
+  // (Parse errors reported by `checkSrcsetConformance`, and for empty source sizes by `parseSizes`)
+  | "EXTRA_COMMA"
+  | "TRAILING_COMMAS"
+  // (Reported by `resolveSrcset`)
+  | "INVALID_URL"
+  // (Reported by `parsePicture`)
+  | "INVALID_MEDIA_QUERY"
+  | "INVALID_MIME_TYPE";
+
+/**
+The error thrown by `parseSrcset`, `parseSizes` and `parseImageSet`, and collected by `parseSrcsetLoose` and `parseSizesLoose`.
+
+@example
+```ts
+try {
+  parseSrcset('a.jpg 1x, b.jpg 2x foo');
+} catch (error) {
+  error.code; // 'INVALID_DESCRIPTOR'
+  error.startOffset; // 19
+  error.endOffset; // 22
+  error.candidateIndex; // 1
+  error.getCodeFrame();
+  // a.jpg 1x, b.jpg 2x foo
+  //                    ^^^
+}
+```
+*/
+export class SrcsetParseError extends Error {
+  name: "SrcsetParseError";
+  code: SrcsetParseErrorCode;
+  /** The string that was being parsed. */
+  input: string;
+  /** Where the offending descriptor (or, for `EMPTY_INPUT`, the input) starts. */
+  startOffset: number;
+  /** Where the offending descriptor ends, exclusive. */
+  endOffset: number;
+  /** The index of the offending image candidate string (or source size), or `null` for `EMPTY_INPUT`. */
+  candidateIndex: number | null;
+  /** With the `loc` option. */
+  loc?: SourceLocation;
+  /** Renders the line of `input` containing the error, underlined with carets. */
+  getCodeFrame(): string;
+}
+
+export type DroppedCandidate = {
+  source: {
+    value: string;
+    startOffset: number;
+    endOffset: number;
+    loc?: SourceLocation;
+  };
+  startOffset: number;
+  endOffset: number;
+  loc?: SourceLocation;
+  error: SrcsetParseError;
+};
+
+export type LooseParseResult = {
+  candidates: Candidate[];
+  dropped: DroppedCandidate[];
+};
+
+/**
+Parses a srcset the way a browser does: a candidate with an invalid descriptor is skipped instead of failing the whole attribute.
+
+@param {string} input - The string value to parse.
+@param {ParseOptions} [options]
+@returns {LooseParseResult} The valid candidates, plus the candidates that were dropped and why.
+
+@example
+```ts
+import { parseSrcsetLoose } from "@prettier/parse-srcset";
+
+parseSrcsetLoose('a.jpg 1x, b.jpg foo, c.jpg 2x');
+// output:
+{
+  candidates: [
+    {
+      source: { value: 'a.jpg', startOffset: 0, endOffset: 5 },
+      density: { value: 1, startOffset: 6, endOffset: 8 },
+      startOffset: 0,
+      endOffset: 9
+    },
+    {
+      source: { value: 'c.jpg', startOffset: 21, endOffset: 26 },
+      density: { value: 2, startOffset: 27, endOffset: 29 },
+      startOffset: 21,
+      endOffset: 29
+    }
+  ],
+  dropped: [
+    {
+      source: { value: 'b.jpg', startOffset: 10, endOffset: 15 },
+      startOffset: 10,
+      endOffset: 20,
+      error: SrcsetParseError('Invalid srcset descriptor "foo".')
+    }
+  ]
+}
+```
+*/
+export function parseSrcsetLoose(
+  input: string,
+  options?: ParseOptions
+): LooseParseResult;
+
+export type CSTLeaf = {
+  type: "Url" | "Text" | "ParenGroup" | "Comma" | "Whitespace";
+  /** The characters of the leaf, exactly as in the input. */
+  value: string;
+  /** For `ParenGroup`: whether it ends with `)`, rather than at the end of the descriptor. */
+  closed?: boolean;
+  startOffset: number;
+  endOffset: number;
+};
+
+export type CSTDescriptor = {
+  type: "Descriptor";
+  value: string;
+  /** `Text` and `ParenGroup` leaves. */
+  children: CSTLeaf[];
+  startOffset: number;
+  endOffset: number;
+};
+
+export type CSTImageCandidate = {
+  type: "ImageCandidate";
+  /** A `Url` leaf, then `Descriptor` nodes, `Whitespace` and `Comma` leaves. */
+  children: Array<CSTLeaf | CSTDescriptor>;
+  startOffset: number;
+  endOffset: number;
+};
+
+export type CSTSrcsetList = {
+  type: "SrcsetList";
+  /** `ImageCandidate` nodes, with the `Whitespace` and `Comma` leaves around them. */
+  children: Array<CSTLeaf | CSTImageCandidate>;
+  startOffset: number;
+  endOffset: number;
+};
+
+/**
+Parses a srcset into a lossless concrete syntax tree, for formatters and codemods. It follows the same tokenizer as `parseSrcset`, but keeps whitespace and commas, and keeps candidates with invalid descriptors. It never throws.
+
+A candidate's children are its `Url`, its `Descriptor`s, and the `Whitespace` and `Comma` leaves between them, including the comma that ends it. Each descriptor is split into `Text` and `ParenGroup` leaves. Concatenating the values of all leaves, in order, gives back the input.
+
+@param {string} input - The string value to parse.
+@returns {CSTSrcsetList} The root of the tree.
+
+@example
+```ts
+import { parseSrcsetCST } from "@prettier/parse-srcset";
+
+parseSrcsetCST('a.jpg 1x, b.jpg');
+// output:
+{
+  type: 'SrcsetList',
+  children: [
+    {
+      type: 'ImageCandidate',
+      children: [
+        { type: 'Url', value: 'a.jpg', startOffset: 0, endOffset: 5 },
+        { type: 'Whitespace', value: ' ', startOffset: 5, endOffset: 6 },
+        {
+          type: 'Descriptor',
+          value: '1x',
+          children: [{ type: 'Text', value: '1x', startOffset: 6, endOffset: 8 }],
+          startOffset: 6,
+          endOffset: 8
+        },
+        { type: 'Comma', value: ',', startOffset: 8, endOffset: 9 }
+      ],
+      startOffset: 0,
+      endOffset: 9
+    },
+    { type: 'Whitespace', value: ' ', startOffset: 9, endOffset: 10 },
+    {
+      type: 'ImageCandidate',
+      children: [{ type: 'Url', value: 'b.jpg', startOffset: 10, endOffset: 15 }],
+      startOffset: 10,
+      endOffset: 15
+    }
+  ],
+  startOffset: 0,
+  endOffset: 15
+}
+```
+*/
+export function parseSrcsetCST(input: string): CSTSrcsetList;
+
+export type ConformanceResult = LooseParseResult & {
+  /** The parse errors the algorithm carries on after, in the order they are found. */
+  parseErrors: SrcsetParseError[];
+};
+
+/**
+Parses a srcset like `parseSrcsetLoose`, and also reports the parse errors that the [WHATWG algorithm](https://html.spec.whatwg.org/multipage/images.html#parse-a-srcset-attribute) carries on after, which browsers ignore and conformance checkers report.
+
+- `EXTRA_COMMA`: commas collected by the splitting loop (step 4), such as a leading comma or a comma after the one that ends a candidate. `candidateIndex` is `null`.
+- `TRAILING_COMMAS`: more than one comma removed from the end of a URL (step 8.1).
+
+@param {string} input - The string value to parse.
+@param {ParseOptions} [options]
+@returns {ConformanceResult} The result of `parseSrcsetLoose`, plus the parse errors.
+
+@example
+```ts
+import { checkSrcsetConformance } from "@prettier/parse-srcset";
+
+checkSrcsetConformance('a.jpg 1x,, b.jpg,, c.jpg 2x').parseErrors;
+// output:
+[
+  SrcsetParseError('Unexpected comma between image candidate strings.'), // code: 'EXTRA_COMMA', startOffset: 9, endOffset: 10
+  SrcsetParseError('More than one comma after "b.jpg".') // code: 'TRAILING_COMMAS', startOffset: 16, endOffset: 18
+]
+```
+*/
+export function checkSrcsetConformance(
+  input: string,
+  options?: ParseOptions
+): ConformanceResult;
+
+export type PlainCandidate = {
+  url: string;
+  width?: number;
+  height?: number;
+  density?: number;
+};
+
+export type StringifyOptions = {
+  /**
+  Percent-encode whitespace, leading commas and trailing commas in URLs, instead of throwing, so the result re-parses to the same URLs.
+  @default false
+  */
+  escapeUrls?: boolean;
+};
+
+/**
+Serializes image candidates back into a srcset string. `parseSrcset(stringifySrcset(candidates))` gives back the same URLs and descriptors.
+
+@param {Array<Candidate | PlainCandidate>} candidates - The output of `parseSrcset`, or plain `{url, width, height, density}` objects.
+@param {StringifyOptions} [options]
+@returns {string} The srcset string, with candidates separated by `", "` and numbers in their shortest form.
+@throws {TypeError} If there are no candidates, a descriptor is invalid or can't be combined with another one, or a URL can't be serialized.
+
+@example
+```ts
+import { stringifySrcset } from "@prettier/parse-srcset";
+
+stringifySrcset([
+  { url: 'elva-fairy-320w.jpg' },
+  { url: 'elva-fairy-480w.jpg', density: 1.5 },
+  { url: 'elva-fairy-640w.jpg', density: 2 }
+]);
+// output:
+'elva-fairy-320w.jpg, elva-fairy-480w.jpg 1.5x, elva-fairy-640w.jpg 2x'
+```
+*/
+export function stringifySrcset(
+  candidates: Array<Candidate | PlainCandidate>,
+  options?: StringifyOptions
+): string;
+
+export type FormatOptions = {
+  /**
+  The longest value kept on a single line.
+  @default 80
+  */
+  printWidth?: number;
+  /**
+  What each line starts with when the value is broken, or a number of spaces.
+  @default "  "
+  */
+  indent?: string | number;
+  /**
+  Pad URLs so descriptors line up, with numbers aligned on their decimal point.
+  @default true
+  */
+  alignDescriptors?: boolean;
+  /**
+  Put a comma after the last candidate when the value is broken.
+  @default false
+  */
+  trailingComma?: boolean;
+};
+
+/**
+Formats a srcset the way Prettier prints srcset attributes. A value that fits in `printWidth` is printed on one line; otherwise every candidate goes on its own line, with a line break before the first one and after the last one.
+
+@param {string} input - The string value to format.
+@param {FormatOptions} [options]
+@returns {string} The formatted value.
+@throws {SrcsetParseError} If the input can't be parsed.
+
+@example
+```ts
+import { formatSrcset } from "@prettier/parse-srcset";
+
+formatSrcset('hero-small.jpg 1x, hero.jpg 1.5x, hero-large.jpg 2x', { printWidth: 40 });
+// output:
+`
+  hero-small.jpg 1x,
+  hero.jpg       1.5x,
+  hero-large.jpg 2x
+`
+```
+*/
+export function formatSrcset(input: string, options?: FormatOptions): string;
+
+/**
+Prints a srcset in a canonical form, so that srcsets that mean the same thing give the same string, like for cache keys and snapshots. Candidates are sorted by density, then by width, exact duplicates are removed, `1x` is left out, and numbers are printed in their shortest form. Candidates with the same density or width keep their order, since the first one wins when choosing an image.
+
+@param {string} input - The string value to canonicalize.
+@param {ParseOptions} [options] - The options of `parseSrcset`.
+@returns {string} The canonical srcset.
+@throws {SrcsetParseError} If the input can't be parsed.
+
+@example
+```ts
+import { canonicalizeSrcset } from "@prettier/parse-srcset";
+
+canonicalizeSrcset('hero-2x.jpg 2.0x,  hero.jpg 1x, hero-2x.jpg 2x,');
+// output:
+'hero.jpg, hero-2x.jpg 2x'
+```
+*/
+export function canonicalizeSrcset(
+  input: string,
+  options?: ParseOptions
+): string;
+
+export type SourceSize = {
+  /** The media condition, absent for the default size. */
+  media?: {
+    value: string;
+    startOffset: number;
+    endOffset: number;
+  };
+  /** A length, a `calc()`, `min()`, `max()` or `clamp()` function, or `auto`. */
+  size: {
+    value: string;
+    startOffset: number;
+    endOffset: number;
+  };
+  startOffset: number;
+  /** Where the source size ends, including its separating comma if it has one. */
+  endOffset: number;
+};
+
+export type DroppedSourceSize = {
+  startOffset: number;
+  endOffset: number;
+  error: SrcsetParseError;
+};
+
+export type LooseSizesParseResult = {
+  sizes: SourceSize[];
+  dropped: DroppedSourceSize[];
+};
+
+/**
+Parses the string value that appears in markup `<img sizes="here">`, based on the [WHATWG reference algorithm](https://html.spec.whatwg.org/multipage/images.html#parsing-a-sizes-attribute).
+
+A browser uses the first size whose media condition matches. The size without a media condition is the default, and when no size matches, the size is `100vw`.
+
+@param {string} input - The string value to parse.
+@returns {SourceSize[]} The source sizes, in order.
+@throws {SrcsetParseError} If the input has no source sizes, or a source size is invalid.
+
+@example
+```ts
+import { parseSizes } from "@prettier/parse-srcset";
+
+parseSizes('(max-width: 600px) 480px, 800px');
+// output:
+[
+  {
+    media: { value: '(max-width: 600px)', startOffset: 0, endOffset: 18 },
+    size: { value: '480px', startOffset: 19, endOffset: 24 },
+    startOffset: 0,
+    endOffset: 25
+  },
+  {
+    size: { value: '800px', startOffset: 26, endOffset: 31 },
+    startOffset: 26,
+    endOffset: 31
+  }
+]
+```
+*/
+export function parseSizes(input: string): SourceSize[];
+
+/**
+Parses a sizes attribute the way a browser does: an invalid source size is skipped instead of failing the whole attribute.
+
+@param {string} input - The string value to parse.
+@returns {LooseSizesParseResult} The valid source sizes, plus the ones that were dropped and why.
+*/
+export function parseSizesLoose(input: string): LooseSizesParseResult;
+
+export type Environment = {
+  /** The media type that `screen`, `print` and other media types in media queries are compared with. @default "screen" */
+  mediaType?: string;
+  /** The width of the viewport, in CSS pixels. */
+  viewportWidth: number;
+  /** The height of the viewport, in CSS pixels. */
+  viewportHeight: number;
+  /**
+  The size `em` and `rem` resolve to, in CSS pixels. Other font-relative units are approximated from it.
+  @default 16
+  */
+  rootFontSize?: number;
+  /** @default 1 */
+  devicePixelRatio?: number;
+  /** Derived from the viewport size when absent. */
+  orientation?: "portrait" | "landscape";
+  /** @default "light" */
+  prefersColorScheme?: "light" | "dark";
+  /** @default "no-preference" */
+  prefersReducedMotion?: "no-preference" | "reduce";
+  /** @default "no-preference" */
+  prefersContrast?: "no-preference" | "more" | "less" | "custom";
+  /** @default "no-preference" */
+  prefersReducedTransparency?: "no-preference" | "reduce";
+  /** @default "no-preference" */
+  prefersReducedData?: "no-preference" | "reduce";
+  /** The width the image is laid out at, used for `sizes="auto"`. Without it, `auto` is skipped. */
+  autoSize?: number;
+};
+
+/**
+Evaluates a media condition, like `(min-width: 600px) and (orientation: landscape)` or `(400px <= width < 800px)`, in a simulated environment. Unknown features and invalid conditions don't match.
+
+@param {string} condition - The media condition.
+@param {Environment} environment
+@returns {boolean} Whether the condition matches.
+*/
+export function evaluateMediaCondition(
+  condition: string,
+  environment: Environment
+): boolean;
+
+/**
+Evaluates a media query list, like the `media` attribute of a `<source>`, in a simulated environment. It matches when any of its queries does, or when it is empty. A query is a media condition, or a media type with an optional `not` or `only` and an optional `and` condition. Invalid queries don't match.
+
+@param {string} queryList - The media query list, like `screen and (min-width: 600px), print`.
+@param {Environment} environment
+@returns {boolean} Whether the list matches.
+*/
+export function evaluateMediaQueryList(
+  queryList: string,
+  environment: Environment
+): boolean;
+
+/**
+Works out the size a sizes attribute resolves to in a simulated environment, the way a browser does: the first source size whose media condition matches wins, invalid ones are skipped, and when none matches the size is `100vw`.
+
+Lengths can be in `px`, `em`, `rem`, viewport units and absolute units, or `calc()`, `min()`, `max()` and `clamp()` of those.
+
+@param {string} input - The sizes attribute.
+@param {Environment} environment
+@returns {number} The size, in CSS pixels.
+
+@example
+```ts
+import { evaluateSizes } from "@prettier/parse-srcset";
+
+evaluateSizes('(max-width: 600px) 480px, calc(50vw - 2em)', {
+  viewportWidth: 1024,
+  viewportHeight: 768,
+});
+// output:
+480
+```
+*/
+export function evaluateSizes(input: string, environment: Environment): number;
+
+export type NormalizedCandidate = {
+  /** The candidate, as given. */
+  candidate: Candidate;
+  /** The pixel density of the candidate: its `x` descriptor, its `w` descriptor divided by the source size, or 1. */
+  density: number;
+  /** Whether an earlier candidate has the same density, which makes browsers ignore this one. */
+  duplicate: boolean;
+};
+
+/**
+Gives every candidate its effective pixel density, following the "normalise the source densities" step of the [WHATWG algorithm](https://html.spec.whatwg.org/multipage/images.html#normalise-the-source-densities): an `x` descriptor is used as is, a `w` descriptor is divided by the source size, and a candidate without either is `1x`. Candidates with the same density as an earlier one are flagged as duplicates, as browsers ignore them.
+
+@param {Candidate[]} candidates - The output of `parseSrcset`.
+@param {number} [sourceSizePx] - The source size in CSS pixels, as given by `evaluateSizes`. Needed when there are `w` descriptors. When it's `0`, `w` descriptors give an `Infinity` density, so all but the first one are duplicates.
+@returns {NormalizedCandidate[]} One entry per candidate, in the same order.
+@throws {TypeError} If there are `w` descriptors and no `sourceSizePx`.
+
+@example
+```ts
+import parseSrcset, { normalizeDensities } from "@prettier/parse-srcset";
+
+normalizeDensities(parseSrcset('a.jpg 400w, b.jpg 800w, c.jpg 800w'), 400);
+// output:
+[
+  { candidate: { source: { value: 'a.jpg', ... }, ... }, density: 1, duplicate: false },
+  { candidate: { source: { value: 'b.jpg', ... }, ... }, density: 2, duplicate: false },
+  { candidate: { source: { value: 'c.jpg', ... }, ... }, density: 2, duplicate: true }
+]
+```
+*/
+export function normalizeDensities(
+  candidates: Candidate[],
+  sourceSizePx?: number
+): NormalizedCandidate[];
+
+/**
+Chooses one candidate for a device pixel ratio, given the candidates that aren't duplicates, sorted by ascending density.
+*/
+export type SelectionStrategy = (
+  candidates: NormalizedCandidate[],
+  devicePixelRatio: number
+) => NormalizedCandidate;
+
+/**
+The built-in ways of choosing a candidate.
+
+- `smallest-above`: the smallest density that covers the device pixel ratio, or the largest one if none does (Firefox and Safari).
+- `geometric-mean`: like `smallest-above`, but the density below when the device pixel ratio is under the geometric mean of the two (Chromium).
+*/
+export const selectionStrategies: {
+  "smallest-above": SelectionStrategy;
+  "geometric-mean": SelectionStrategy;
+};
+
+export type SelectOptions = {
+  /** @default 1 */
+  devicePixelRatio?: number;
+  /** The source size in CSS pixels, as given by `evaluateSizes`. Needed when there are `w` descriptors. */
+  sourceSizePx?: number;
+  /** @default "smallest-above" */
+  strategy?: keyof typeof selectionStrategies | SelectionStrategy;
+};
+
+export type SelectResult = {
+  candidate: Candidate;
+  density: number;
+  /** Every candidate with its effective density. */
+  candidates: NormalizedCandidate[];
+};
+
+/**
+Predicts which candidate a browser requests, following the [WHATWG algorithm](https://html.spec.whatwg.org/multipage/images.html#select-an-image-source): `w` descriptors are turned into densities using the source size, candidates with the same density as an earlier one are dropped, and a strategy picks one of the rest.
+
+@param {Candidate[]} candidates - The output of `parseSrcset`.
+@param {SelectOptions} [options]
+@returns {SelectResult | null} The selected candidate, or `null` if there are no candidates.
+@throws {TypeError} If there are `w` descriptors and no `sourceSizePx`, or the strategy is unknown.
+
+@example
+```ts
+import parseSrcset, { selectCandidate } from "@prettier/parse-srcset";
+
+selectCandidate(parseSrcset('a.jpg 320w, b.jpg 640w'), {
+  sourceSizePx: 320,
+  devicePixelRatio: 2,
+}).candidate.source.value;
+// output:
+'b.jpg'
+```
+*/
+export function selectCandidate(
+  candidates: Candidate[],
+  options?: SelectOptions
+): SelectResult | null;
+
+export type LintSeverity = "off" | "warn" | "error";
+
+/**
+A severity, or a severity and options for the rule.
+*/
+export type LintRuleConfig =
+  | LintSeverity
+  | [LintSeverity, Record<string, unknown>?];
+
+export type LintRule = {
+  /** The severity used when the rule isn't configured. */
+  severity: LintSeverity;
+  /** The options used when the rule isn't given any. */
+  options?: Record<string, unknown>;
+};
+
+export type LintDiagnostic = {
+  rule: string;
+  severity: "warn" | "error";
+  message: string;
+  startOffset: number;
+  endOffset: number;
+  /** The position of the candidate in the srcset, counting invalid ones, or `null` for problems with the whole srcset. */
+  candidateIndex: number | null;
+};
+
+/**
+The lint rules, by name, with their default severity and options.
+
+- `no-invalid-candidates` (error): candidates a browser drops, or no candidates at all.
+- `no-mixed-descriptors` (error): `w` descriptors together with `x` descriptors, or with candidates without descriptors.
+- `no-duplicate-descriptors` (error): two candidates with the same width or density.
+- `no-bare-url-with-1x` (error): a candidate without descriptors, which means `1x`, next to an explicit `1x` one.
+- `no-duplicate-urls` (warn): the same URL in more than one candidate.
+- `height-requires-width` (error): an `h` descriptor without a `w` descriptor.
+- `consistent-aspect-ratio` (warn): candidates whose aspect ratio, from their `w` and `h` descriptors, doesn't match the first one's. Option `tolerance`: how many pixels heights can be off by, from rounding (default `1`).
+- `monotonic-widths` (warn): widths out of order. Option `order`: `"ascending"`, `"descending"`, or `"any"` (the default) for either one.
+- `max-candidates` (off): more candidates than option `max` (default `10`).
+- `max-data-url-size` (off): `data:` URLs that decode to more than option `max` bytes (default `4096`).
+*/
+export const lintRules: Record<string, LintRule>;
+
+/**
+Checks a srcset for authoring mistakes, including ones that still parse, with individually configurable rules.
+
+@param {string} input - A srcset attribute value.
+@param {Record<string, LintRuleConfig>} [rules] - Overrides the default configuration of rules, by name.
+@returns {LintDiagnostic[]} The problems found, sorted by offset. Rules that are `off` don't report any.
+@throws {TypeError} If a rule is unknown or has an invalid severity.
+
+@example
+```ts
+import { lintSrcset } from "@prettier/parse-srcset";
+
+lintSrcset('a.jpg 640w, b.jpg 2x', { 'no-duplicate-urls': 'off' });
+// output:
+[
+  {
+    rule: 'no-mixed-descriptors',
+    severity: 'error',
+    message: "Candidates with a width descriptor can't be mixed with density descriptors.",
+    startOffset: 18,
+    endOffset: 20,
+    candidateIndex: 1
+  }
+]
+```
+*/
+export function lintSrcset(
+  input: string,
+  rules?: Record<string, LintRuleConfig>
+): LintDiagnostic[];
+
+export type ImageSetCandidate = Candidate & {
+  /** The argument of `type()`, if any. */
+  type?: {
+    value: string;
+    startOffset: number;
+    endOffset: number;
+  };
+};
+
+/**
+Parses a CSS [`image-set()`](https://drafts.csswg.org/css-images-4/#image-set-notation) value, or its legacy `-webkit-image-set()` alias, into the same candidates as `parseSrcset`.
+
+Sources can be strings or `url()`, and their values have CSS escapes decoded. The source offsets cover the whole string or `url()`. Resolutions in `x`, `dppx`, `dpi` and `dpcm` are converted to a `density` in `x`.
+
+@param {string} input - An `image-set()` or `-webkit-image-set()` function.
+@returns {ImageSetCandidate[]} An array of objects representing the image candidates.
+@throws {SrcsetParseError} If the input isn't a valid `image-set()`, one of its sources isn't a URL, or one of its resolutions is zero.
+
+@example
+```ts
+import { parseImageSet } from "@prettier/parse-srcset";
+
+parseImageSet('image-set("a.avif" type("image/avif"), url(b.jpg) 192dpi)');
+// output:
+[
+  {
+    source: { value: 'a.avif', startOffset: 10, endOffset: 18 },
+    type: { value: 'image/avif', startOffset: 19, endOffset: 37 },
+    startOffset: 10,
+    endOffset: 38
   },
   {
-    source: { value: 'elva-fairy-640w.jpg', startOffset: 47 },
-    density: { value: 2 }
+    source: { value: 'b.jpg', startOffset: 39, endOffset: 49 },
+    density: { value: 2, startOffset: 50, endOffset: 56 },
+    startOffset: 39,
+    endOffset: 56
+  }
+]
+```
+*/
+export function parseImageSet(input: string): ImageSetCandidate[];
+
+export type ResolveOptions = {
+  /** The URL of the document, as a string or a `URL`. Must be absolute. */
+  baseUrl: string | URL;
+  /** The `href` of the document's first `<base>` element, if any. It is resolved against `baseUrl`, and ignored if it can't be parsed, like browsers do. */
+  baseHref?: string;
+};
+
+export type ResolvedCandidate = Candidate & {
+  /** The absolute URL of the candidate, or absent if its URL can't be parsed. */
+  href?: string;
+};
+
+export type ResolveResult = {
+  candidates: ResolvedCandidate[];
+  dropped: DroppedCandidate[];
+  /** An `INVALID_URL` error for each candidate whose URL can't be parsed. */
+  errors: SrcsetParseError[];
+};
+
+/**
+Parses a srcset like `parseSrcsetLoose`, and resolves the URL of each candidate against the document's base URL with the [WHATWG URL parser](https://url.spec.whatwg.org/#concept-url-parser). The raw `source` and the offsets are kept as they are.
+
+@param {string} input - The string value to parse.
+@param {ResolveOptions} options
+@returns {ResolveResult} The candidates with their `href`, the dropped candidates, and the URLs that can't be parsed.
+@throws {TypeError} If `baseUrl` is missing or isn't an absolute URL.
+
+@example
+```ts
+import { resolveSrcset } from "@prettier/parse-srcset";
+
+resolveSrcset('a.jpg 1x, //cdn.example/b.jpg 2x', {
+  baseUrl: 'https://example.com/blog/post.html',
+  baseHref: '/static/',
+}).candidates.map((candidate) => candidate.href);
+// output:
+['https://example.com/static/a.jpg', 'https://cdn.example/b.jpg']
+```
+*/
+export function resolveSrcset(
+  input: string,
+  options: ResolveOptions
+): ResolveResult;
+
+export type DataUrl = {
+  /** The MIME type essence, in lowercase, like `"image/png"`. `"text/plain"` when it is missing or invalid. */
+  mediaType: string;
+  /** Whether the body is base64-encoded. */
+  base64: boolean;
+  /** The length of the decoded body, in bytes. */
+  byteLength: number;
+  /** The decoded body. It is only decoded the first time it is read. */
+  readonly bytes: Uint8Array;
+};
+
+/**
+Reads a `data:` URL with the [data: URL processor](https://fetch.spec.whatwg.org/#data-url-processor) of the Fetch standard.
+
+@param {string} url - A URL, like the `source.value` of a candidate.
+@returns {DataUrl | null} The media type and body of the URL, or `null` if it isn't a valid `data:` URL.
+
+@example
+```ts
+import { parseDataUrl } from "@prettier/parse-srcset";
+
+parseDataUrl('data:image/png;base64,iVBORw0KGgo=');
+// output:
+{ mediaType: 'image/png', base64: true, byteLength: 8, bytes: [Getter] }
+```
+*/
+export function parseDataUrl(url: string): DataUrl | null;
+
+/**
+Adds the result of `parseDataUrl` as `dataUrl` to each candidate whose source is a valid `data:` URL. Other candidates are returned as they are.
+
+@param {Candidate[]} candidates - The output of `parseSrcset`.
+@returns The candidates, in the same order.
+
+@example
+```ts
+import parseSrcset, { annotateDataUrls } from "@prettier/parse-srcset";
+
+annotateDataUrls(parseSrcset('data:image/gif;base64,R0lGODlh 1x, b.gif 2x')).map(
+  (candidate) => candidate.dataUrl && candidate.dataUrl.byteLength
+);
+// output:
+[6, undefined]
+```
+*/
+export function annotateDataUrls<T extends Candidate>(
+  candidates: T[]
+): Array<T & { dataUrl?: DataUrl }>;
+
+export type PictureSourceAttributes = {
+  srcset?: string;
+  sizes?: string;
+  media?: string;
+  type?: string;
+};
+
+export type PictureImgAttributes = {
+  src?: string;
+  srcset?: string;
+  sizes?: string;
+};
+
+export type PictureDescription = {
+  /** The attributes of the `<source>` children, in order. */
+  sources?: PictureSourceAttributes[];
+  /** The attributes of the `<img>`. */
+  img?: PictureImgAttributes;
+};
+
+export type PictureElementModel = {
+  srcset?: {
+    value: string;
+    candidates: Candidate[];
+    dropped: DroppedCandidate[];
+  };
+  sizes?: { value: string; sizes: SourceSize[]; dropped: DroppedSourceSize[] };
+  media?: { value: string; valid: boolean };
+  /** `essence` is the MIME type without its parameters, in lowercase. */
+  type?: { value: string; essence: string; valid: boolean };
+  src?: { value: string };
+};
+
+export type PictureError = {
+  element: "source" | "img";
+  /** The index of the `<source>`, or `null` for the `<img>`. */
+  index: number | null;
+  attribute: "srcset" | "sizes" | "media" | "type";
+  error: SrcsetParseError;
+};
+
+export type PictureModel = {
+  sources: PictureElementModel[];
+  img: PictureElementModel;
+  errors: PictureError[];
+};
+
+/**
+Parses a `<picture>` element from the attributes of its `<source>` children and of its `<img>`, without a DOM. Every srcset and sizes attribute is parsed, `media` attributes are checked to be valid media query lists, and `type` attributes to be valid MIME types.
+
+Nothing throws: the errors are collected with the element and attribute they are about. A `<source>` without a srcset, or with an empty one, is an `EMPTY_INPUT` error.
+
+@param {PictureDescription} picture - The attributes of the elements.
+@returns {PictureModel} The parsed attributes of each element, and the errors.
+
+@example
+```ts
+import { parsePicture } from "@prettier/parse-srcset";
+
+parsePicture({
+  sources: [{ srcset: 'a.avif', type: 'image/avif' }, { srcset: 'a.webp', type: 'image webp' }],
+  img: { src: 'a.jpg' },
+}).errors;
+// output:
+[
+  {
+    element: 'source',
+    index: 1,
+    attribute: 'type',
+    error: SrcsetParseError('Invalid MIME type "image webp".') // code: 'INVALID_MIME_TYPE'
   }
 ]
 ```
 */
-export default function parseSrcset(input: string): Candidate[];
+export function parsePicture(picture: PictureDescription): PictureModel;
+
+export type PictureSelectOptions = {
+  environment: Environment;
+  /**
+  The MIME types the browser can decode. A `<source>` whose `type` isn't one of them is skipped.
+  @default ["image/avif", "image/webp", "image/png", "image/jpeg", "image/gif", "image/svg+xml"]
+  */
+  supportedTypes?: string[];
+  /** @default "smallest-above" */
+  strategy?: SelectOptions["strategy"];
+};
+
+export type PictureSelectResult = SelectResult & {
+  element: "source" | "img";
+  /** The index of the `<source>`, or `null` for the `<img>`. */
+  index: number | null;
+  /** The source size the candidates were selected with, in CSS pixels. */
+  sourceSizePx: number;
+};
+
+/**
+Predicts which element of a `<picture>`, and which of its candidates, a browser picks, following the [WHATWG algorithm](https://html.spec.whatwg.org/multipage/images.html#update-the-source-set). The first `<source>` with candidates whose `media` matches and whose `type` is supported wins. Otherwise the `<img>` is used, with its `src` as a `1x` candidate when its srcset has no `1x` or `w` candidate.
+
+@param {PictureModel} model - The output of `parsePicture`.
+@param {PictureSelectOptions} options
+@returns {PictureSelectResult | null} The selected element and candidate, or `null` if there is nothing to pick.
+@throws {TypeError} If there is no environment.
+
+@example
+```ts
+import { parsePicture, selectPictureSource } from "@prettier/parse-srcset";
+
+const picture = parsePicture({
+  sources: [
+    { srcset: 'hero.avif 1x, hero-2x.avif 2x', type: 'image/avif' },
+    { srcset: 'wide.jpg 800w, wide-2x.jpg 1600w', sizes: '50vw', media: '(min-width: 1000px)' },
+  ],
+  img: { src: 'hero.jpg' },
+});
+
+selectPictureSource(picture, {
+  environment: { viewportWidth: 1200, viewportHeight: 800, devicePixelRatio: 2 },
+  supportedTypes: ['image/jpeg', 'image/webp'],
+});
+// output:
+{
+  element: 'source',
+  index: 1,
+  candidate: { source: { value: 'wide-2x.jpg', ... }, ... },
+  density: 2.6666666666666665,
+  candidates: [...],
+  sourceSizePx: 600
+}
+```
+*/
+export function selectPictureSource(
+  model: PictureModel,
+  options: PictureSelectOptions
+): PictureSelectResult | null;
+
+export type SrcsetPreset =
+  | "imgix"
+  | "cloudinary"
+  | "imagekit"
+  | "cloudflare"
+  | "next"
+  | "netlify";
+
+export type BuildSrcsetOptions = {
+  /**
+  The URL of each candidate, with `{w}` replaced with its width, or `{x}` with its density. With `src`, a template starting with `"?"`, like `"?w={w}&q=75"`, is added to the query string of `src`.
+  */
+  template?: string;
+
+  /**
+  The URL of the image, for a `preset` or a `template` starting with `"?"`.
+  */
+  src?: string;
+
+  /**
+  Builds the template from `src` the way an image CDN expects. `next` and `netlify` only support widths.
+  */
+  preset?: SrcsetPreset;
+
+  /**
+  The widths, in pixels, for `w` descriptors.
+  */
+  widths?: number[];
+
+  /**
+  The densities, for `x` descriptors.
+  */
+  densities?: number[];
+
+  /**
+  Percent-encode URLs that couldn't be parsed back otherwise, like `stringifySrcset` does.
+  @default false
+  */
+  escapeUrls?: boolean;
+};
+
+/**
+Builds a srcset from a URL template and a list of widths or densities. Values are sorted and deduplicated, and the result is checked with `parseSrcset`.
+
+@param {BuildSrcsetOptions} options - Either `template` or `preset`, and either `widths` or `densities`.
+@returns {string} The srcset string.
+@throws {TypeError} If the options are missing or conflict, the template doesn't contain `{w}` or `{x}`, or a width or density is invalid.
+
+@example
+```ts
+import { buildSrcset } from "@prettier/parse-srcset";
+
+buildSrcset({ template: '/img/hero-{w}.jpg', widths: [800, 400, 1200] });
+// output:
+'/img/hero-400.jpg 400w, /img/hero-800.jpg 800w, /img/hero-1200.jpg 1200w'
+
+buildSrcset({ preset: 'imgix', src: 'https://example.imgix.net/hero.jpg', densities: [1, 2] });
+// output:
+'https://example.imgix.net/hero.jpg?dpr=1 1x, https://example.imgix.net/hero.jpg?dpr=2 2x'
+```
+*/
+export function buildSrcset(options: BuildSrcsetOptions): string;
+
+export type SrcsetChange = {
+  /** Where the span that changed starts in the input. */
+  startOffset: number;
+  /** Where the span that changed ends in the input. */
+  endOffset: number;
+  /** Where its replacement starts in the new string. */
+  newStartOffset: number;
+  /** Where its replacement ends in the new string. */
+  newEndOffset: number;
+};
+
+export type TransformResult = {
+  /** The new srcset string. */
+  value: string;
+  /** The spans that changed, in order. */
+  changes: SrcsetChange[];
+  /** Maps an offset of the input to the new string. Offsets in a span that changed map to its start. */
+  mapOffset(offset: number): number;
+};
+
+export type TransformOptions = {
+  /**
+  Percent-encode new URLs that couldn't be parsed back otherwise, like `stringifySrcset` does.
+  @default false
+  */
+  escapeUrls?: boolean;
+};
+
+/**
+Rewrites the URLs of a srcset, or removes candidates, without touching the rest of the input: whitespace, line breaks and descriptors are kept as written.
+
+@param {string} input - A srcset attribute value.
+@param {(candidate: Candidate, index: number) => string | null | undefined} transform - Returns the new URL of the candidate, `null` to remove it along with its separator, or `undefined` to keep it as it is.
+@param {TransformOptions} [options]
+@returns {TransformResult} The new string, the spans that changed, and a function to map offsets.
+@throws {SrcsetParseError} If the input isn't a valid srcset, like `parseSrcset`.
+@throws {TypeError} If `transform` isn't a function or returns something else than a string, `null` or `undefined`, removes every candidate, or a new URL can't be serialized.
+
+@example
+```ts
+import { transformSrcset } from "@prettier/parse-srcset";
+
+transformSrcset('hero.jpg 1x,\n  hero-2x.jpg 2x,\n  hero-3x.jpg 3x', (candidate) =>
+  candidate.density?.value === 3 ? null : `https://cdn.example.com/${candidate.source.value}`
+).value;
+// output:
+'https://cdn.example.com/hero.jpg 1x,\n  https://cdn.example.com/hero-2x.jpg 2x'
+```
+*/
+export function transformSrcset(
+  input: string,
+  transform: (candidate: Candidate, index: number) => string | null | undefined,
+  options?: TransformOptions
+): TransformResult;
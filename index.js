@@ -14,6 +14,9 @@
  * (except for comments in parens).
  */
 
+import { decodeAttributeValue } from "./html.js";
+import { locate, offsetUnits } from "./location.js";
+
 function isASCIIWhitespace(character) {
   return (
     // Horizontal tab
@@ -30,12 +33,13 @@ function isASCIIWhitespace(character) {
 }
 
 // (Don't use \s, to avoid matching non-breaking space)
+// (Sticky, to match at lastIndex without copying the rest of the input)
 // eslint-disable-next-line no-control-regex
-const regexLeadingSpaces = /^[ \t\n\r\u000c]+/;
+const regexLeadingSpaces = /[ \t\n\r\u000c]+/y;
 // eslint-disable-next-line no-control-regex
-const regexLeadingCommasOrSpaces = /^[, \t\n\r\u000c]+/;
+const regexLeadingCommasOrSpaces = /[, \t\n\r\u000c]+/y;
 // eslint-disable-next-line no-control-regex
-const regexLeadingNotSpaces = /^[^ \t\n\r\u000c]+/;
+const regexLeadingNotSpaces = /[^ \t\n\r\u000c]+/y;
 const regexTrailingCommas = /[,]+$/;
 const regexNonNegativeInteger = /^\d+$/;
 
@@ -46,13 +50,102 @@ const regexNonNegativeInteger = /^\d+$/;
 // https://html.spec.whatwg.org/multipage/infrastructure.html#valid-floating-point-number
 const regexFloatingPoint = /^-?(?:[0-9]+|[0-9]*\.[0-9]+)(?:[eE][+-]?[0-9]+)?$/;
 
-function parseSrcset(input) {
+/**
+ * Renders the line of input containing [startOffset, endOffset) with the
+ * range underlined by carets.
+ * Returns a string.
+ */
+function codeFrame(input, startOffset, endOffset) {
+  const lineStart = input.lastIndexOf("\n", startOffset - 1) + 1;
+  let lineEnd = input.indexOf("\n", startOffset);
+
+  if (lineEnd === -1) {
+    lineEnd = input.length;
+  }
+
+  const line = input.slice(lineStart, lineEnd).replace(/\r$/, "");
+  // (Keep tabs in the padding so the carets line up with the line above)
+  const padding = line.slice(0, startOffset - lineStart).replace(/[^\t]/g, " ");
+  const length = Math.max(1, Math.min(endOffset, lineEnd) - startOffset);
+
+  return `${line}\n${padding}${"^".repeat(length)}`;
+}
+
+// (The UTF-16 offsets of errors whose offsets are in other units, to render
+// their code frame)
+const codeUnitRanges = new WeakMap();
+
+/**
+ * Thrown (or collected by parseSrcsetLoose) when a srcset can't be parsed.
+ *
+ * `code` is one of:
+ *   EMPTY_INPUT, INVALID_DESCRIPTOR, DUPLICATE_DESCRIPTOR,
+ *   CONFLICTING_DESCRIPTORS, ZERO_WIDTH, ZERO_HEIGHT, NEGATIVE_DENSITY,
+ *   UNCLOSED_PAREN
+ * and, with the strict option:
+ *   HEIGHT_WITHOUT_WIDTH
+ * and, for sizes attributes:
+ *   INVALID_SIZE_VALUE, NEGATIVE_SIZE_VALUE, INVALID_MEDIA_CONDITION,
+ *   MISPLACED_AUTO, UNREACHABLE_SIZE
+ * and, for image-set() values:
+ *   INVALID_IMAGE_SET, INVALID_IMAGE_SOURCE, ZERO_DENSITY
+ * and, for the parse errors that don't stop the parsing algorithm (see
+ * checkSrcsetConformance, and parseSizes for empty source sizes):
+ *   EXTRA_COMMA, TRAILING_COMMAS
+ * and, for urls that can't be resolved (see resolveSrcset):
+ *   INVALID_URL
+ * and, for the attributes of a <source> (see parsePicture):
+ *   INVALID_MEDIA_QUERY, INVALID_MIME_TYPE
+ */
+class SrcsetParseError extends Error {
+  constructor(
+    code,
+    message,
+    { input, startOffset, endOffset, candidateIndex }
+  ) {
+    super(message);
+    this.name = "SrcsetParseError";
+    this.code = code;
+    this.input = input;
+    this.startOffset = startOffset;
+    this.endOffset = endOffset;
+    // (null when the error isn't about a particular candidate)
+    this.candidateIndex = candidateIndex;
+  }
+
+  /**
+   * Renders the offending part of the input, underlined with carets.
+   * Returns a string.
+   */
+  getCodeFrame() {
+    const [startOffset, endOffset] = codeUnitRanges.get(this) || [
+      this.startOffset,
+      this.endOffset,
+    ];
+
+    return codeFrame(this.input, startOffset, endOffset);
+  }
+}
+
+/**
+ * Runs the parsing algorithm.
+ * When `recover` is true, candidates with invalid descriptors are dropped and
+ * collected the way a browser would skip them, instead of throwing.
+ * When `strict` is true, step 14 is followed too, and a candidate with a
+ * height descriptor but no width descriptor is an error.
+ * Returns {candidates, dropped, parseErrors, candidateStrings}, where
+ * candidateStrings has the url and raw descriptors of every candidate, valid
+ * or not.
+ */
+function parse(input, recover, strict) {
   // 1. Let input be the value passed to this algorithm.
   const inputLength = input.length;
 
   let url;
   let descriptors;
   let currentDescriptor;
+  let descriptorStart;
+  let unclosedParen;
   let state;
   let c;
 
@@ -63,7 +156,8 @@ function parseSrcset(input) {
 
   function collectCharacters(regEx) {
     let chars;
-    const match = regEx.exec(input.substring(position));
+    regEx.lastIndex = position;
+    const match = regEx.exec(input);
 
     if (match) {
       [chars] = match;
@@ -76,20 +170,61 @@ function parseSrcset(input) {
   // 3. Let candidates be an initially empty source set.
   const candidates = [];
 
+  // (Candidates skipped because of a descriptor error, in recover mode only)
+  const dropped = [];
+
+  // (The parse errors the algorithm carries on after)
+  const parseErrors = [];
+
+  // (Every image candidate string, with its descriptors before they are parsed)
+  const candidateStrings = [];
+
+  function pushParseError(code, message, errorStart, errorEnd, candidateIndex) {
+    parseErrors.push(
+      new SrcsetParseError(code, message, {
+        input,
+        startOffset: errorStart,
+        endOffset: errorEnd,
+        candidateIndex,
+      })
+    );
+  }
+
   // 4. Splitting loop: Collect a sequence of characters that are space
   //    characters or U+002C COMMA characters. If any U+002C COMMA characters
   //    were collected, that is a parse error.
   while (true) {
-    collectCharacters(regexLeadingCommasOrSpaces);
+    const separator = collectCharacters(regexLeadingCommasOrSpaces);
+
+    if (separator && separator.includes(",")) {
+      const separatorStart = position - separator.length;
+
+      pushParseError(
+        "EXTRA_COMMA",
+        "Unexpected comma between image candidate strings.",
+        separatorStart + separator.indexOf(","),
+        separatorStart + separator.lastIndexOf(",") + 1,
+        null
+      );
+    }
 
     // 5. If position is past the end of input, return candidates and abort these steps.
     if (position >= inputLength) {
-      if (candidates.length === 0) {
-        throw new Error("Must contain one or more image candidate strings.");
+      if (candidates.length === 0 && !recover) {
+        throw new SrcsetParseError(
+          "EMPTY_INPUT",
+          "Must contain one or more image candidate strings.",
+          {
+            input,
+            startOffset: 0,
+            endOffset: inputLength,
+            candidateIndex: null,
+          }
+        );
       }
 
       // (we're done, this is the sole return path)
-      return candidates;
+      return { candidates, dropped, parseErrors, candidateStrings };
     }
 
     // 6. Collect a sequence of characters that are not space characters,
@@ -98,16 +233,29 @@ function parseSrcset(input) {
     url = collectCharacters(regexLeadingNotSpaces);
 
     // 7. Let descriptors be a new empty list.
+    // (Each descriptor is kept as {value, startOffset, endOffset})
     descriptors = [];
+    unclosedParen = false;
 
     // 8. If url ends with a U+002C COMMA character (,), follow these sub steps:
     //		(1). Remove all trailing U+002C COMMA characters from url. If this removed
     //         more than one character, that is a parse error.
     if (url.slice(-1) === ",") {
+      const urlWithCommas = url;
       url = url.replace(regexTrailingCommas, "");
 
+      if (urlWithCommas.length - url.length > 1) {
+        pushParseError(
+          "TRAILING_COMMAS",
+          `More than one comma after "${url}".`,
+          startOffset + url.length,
+          startOffset + urlWithCommas.length,
+          candidates.length + dropped.length
+        );
+      }
+
       // (Jump ahead to step 9 to skip tokenization and just push the candidate).
-      parseDescriptors();
+      parseDescriptors(position);
     }
     //	Otherwise, follow these sub steps:
     else {
@@ -117,6 +265,40 @@ function parseSrcset(input) {
     // 16. Return to the step labeled splitting loop.
   }
 
+  /**
+   * Appends current descriptor, which ends at position, to descriptors.
+   * Returns undefined.
+   */
+  function pushDescriptor() {
+    descriptors.push({
+      value: currentDescriptor,
+      startOffset: descriptorStart,
+      endOffset: position,
+    });
+  }
+
+  /**
+   * Appends c to current descriptor, noting where the descriptor starts.
+   * Returns undefined.
+   */
+  function appendToDescriptor() {
+    if (!currentDescriptor) {
+      descriptorStart = position;
+    }
+
+    currentDescriptor += c;
+  }
+
+  /**
+   * Returns the offset just past the last descriptor, or past url if there are
+   * no descriptors.
+   */
+  function endOfLastToken() {
+    return descriptors.length > 0
+      ? descriptors[descriptors.length - 1].endOffset
+      : startOffset + url.length;
+  }
+
   /**
    * Tokenizes descriptor properties prior to parsing
    * Returns undefined.
@@ -150,7 +332,7 @@ function parseSrcset(input) {
         // Set state to after descriptor.
         if (isASCIIWhitespace(c)) {
           if (currentDescriptor) {
-            descriptors.push(currentDescriptor);
+            pushDescriptor();
             currentDescriptor = "";
             state = "after descriptor";
           }
@@ -160,20 +342,20 @@ function parseSrcset(input) {
         // is not empty, append current descriptor to descriptors. Jump to the step
         // labeled descriptor parser.
         else if (c === ",") {
-          position += 1;
-
           if (currentDescriptor) {
-            descriptors.push(currentDescriptor);
+            pushDescriptor();
           }
 
-          parseDescriptors();
+          position += 1;
+
+          parseDescriptors(position);
 
           return;
         }
         // U+0028 LEFT PARENTHESIS (()
         // Append c to current descriptor. Set state to in parens.
         else if (c === "\u0028") {
-          currentDescriptor += c;
+          appendToDescriptor();
           state = "in parens";
         }
         // EOF
@@ -181,17 +363,17 @@ function parseSrcset(input) {
         // descriptors. Jump to the step labeled descriptor parser.
         else if (c === "") {
           if (currentDescriptor) {
-            descriptors.push(currentDescriptor);
+            pushDescriptor();
           }
 
-          parseDescriptors();
+          parseDescriptors(endOfLastToken());
 
           return;
 
           // Anything else
           // Append c to current descriptor.
         } else {
-          currentDescriptor += c;
+          appendToDescriptor();
         }
       }
       // In parens
@@ -199,21 +381,22 @@ function parseSrcset(input) {
         // U+0029 RIGHT PARENTHESIS ())
         // Append c to current descriptor. Set state to in descriptor.
         if (c === ")") {
-          currentDescriptor += c;
+          appendToDescriptor();
           state = "in descriptor";
         }
         // EOF
         // Append current descriptor to descriptors. Jump to the step labeled
         // descriptor parser.
         else if (c === "") {
-          descriptors.push(currentDescriptor);
-          parseDescriptors();
+          pushDescriptor();
+          unclosedParen = true;
+          parseDescriptors(endOfLastToken());
           return;
         }
         // Anything else
         // Append c to current descriptor.
         else {
-          currentDescriptor += c;
+          appendToDescriptor();
         }
       }
       // After descriptor
@@ -224,7 +407,7 @@ function parseSrcset(input) {
         }
         // EOF: Jump to the step labeled descriptor parser.
         else if (c === "") {
-          parseDescriptors();
+          parseDescriptors(endOfLastToken());
           return;
         }
         // Anything else
@@ -242,12 +425,16 @@ function parseSrcset(input) {
 
   /**
    * Adds descriptor properties to a candidate, pushes to the candidates array
+   * endOffset is where the candidate ends: past its separating comma if it has
+   * one, otherwise past its last token.
    * @return undefined
    */
   // Declared outside of the while loop so that it's only created once.
-  function parseDescriptors() {
+  function parseDescriptors(endOffset) {
     // 9. Descriptor parser: Let error be no.
-    let pError = false;
+    // (Rather than a flag, keep the first error found, with its code and the
+    // descriptor it is about)
+    let pError;
 
     // 10. Let width be absent.
     // 11. Let density be absent.
@@ -255,18 +442,30 @@ function parseSrcset(input) {
     let w;
     let d;
     let h;
+    // (The descriptors each of them came from, for their offsets)
+    let wDescriptor;
+    let dDescriptor;
+    let hDescriptor;
     let i;
     const candidate = {};
+    let descriptor;
     let desc;
     let lastChar;
     let value;
     let intVal;
     let floatVal;
 
+    function setError(code, message) {
+      if (!pError) {
+        pError = { code, message, descriptor };
+      }
+    }
+
     // 13. For each descriptor in descriptors, run the appropriate set of steps
     // from the following list:
     for (i = 0; i < descriptors.length; i++) {
-      desc = descriptors[i];
+      descriptor = descriptors[i];
+      desc = descriptor.value;
 
       lastChar = desc[desc.length - 1];
       value = desc.substring(0, desc.length - 1);
@@ -277,17 +476,29 @@ function parseSrcset(input) {
       // a U+0077 LATIN SMALL LETTER W character
       if (regexNonNegativeInteger.test(value) && lastChar === "w") {
         // If width and density are not both absent, then let error be yes.
-        if (w || d) {
-          pError = true;
+        if (w) {
+          setError(
+            "DUPLICATE_DESCRIPTOR",
+            `Duplicate width descriptor "${desc}".`
+          );
+        } else if (d) {
+          setError(
+            "CONFLICTING_DESCRIPTORS",
+            `Width descriptor "${desc}" can't be combined with a density descriptor.`
+          );
         }
 
         // Apply the rules for parsing non-negative integers to the descriptor.
         // If the result is zero, let error be yes.
         // Otherwise, let width be the result.
         if (intVal === 0) {
-          pError = true;
+          setError(
+            "ZERO_WIDTH",
+            `Width descriptor "${desc}" must be greater than zero.`
+          );
         } else {
           w = intVal;
+          wDescriptor = descriptor;
         }
       }
       // If the descriptor consists of a valid floating-point number followed by
@@ -295,67 +506,436 @@ function parseSrcset(input) {
       else if (regexFloatingPoint.test(value) && lastChar === "x") {
         // If width, density and future-compat-h are not all absent, then let error
         // be yes.
-        if (w || d || h) {
-          pError = true;
+        if (d) {
+          setError(
+            "DUPLICATE_DESCRIPTOR",
+            `Duplicate density descriptor "${desc}".`
+          );
+        } else if (w || h) {
+          setError(
+            "CONFLICTING_DESCRIPTORS",
+            `Density descriptor "${desc}" can't be combined with a width or height descriptor.`
+          );
         }
 
         // Apply the rules for parsing floating-point number values to the descriptor.
         // If the result is less than zero, let error be yes. Otherwise, let density
         // be the result.
         if (floatVal < 0) {
-          pError = true;
+          setError(
+            "NEGATIVE_DENSITY",
+            `Density descriptor "${desc}" must not be negative.`
+          );
         } else {
           d = floatVal;
+          dDescriptor = descriptor;
         }
       }
       // If the descriptor consists of a valid non-negative integer followed by
       // a U+0068 LATIN SMALL LETTER H character
       else if (regexNonNegativeInteger.test(value) && lastChar === "h") {
         // If height and density are not both absent, then let error be yes.
-        if (h || d) {
-          pError = true;
+        if (h) {
+          setError(
+            "DUPLICATE_DESCRIPTOR",
+            `Duplicate height descriptor "${desc}".`
+          );
+        } else if (d) {
+          setError(
+            "CONFLICTING_DESCRIPTORS",
+            `Height descriptor "${desc}" can't be combined with a density descriptor.`
+          );
         }
 
         // Apply the rules for parsing non-negative integers to the descriptor.
         // If the result is zero, let error be yes. Otherwise, let future-compat-h
         // be the result.
         if (intVal === 0) {
-          pError = true;
+          setError(
+            "ZERO_HEIGHT",
+            `Height descriptor "${desc}" must be greater than zero.`
+          );
         } else {
           h = intVal;
+          hDescriptor = descriptor;
         }
 
         // Anything else, Let error be yes.
+      } else if (unclosedParen && i === descriptors.length - 1) {
+        setError(
+          "UNCLOSED_PAREN",
+          `Unclosed parenthesis in srcset descriptor "${desc}".`
+        );
       } else {
-        pError = true;
+        setError("INVALID_DESCRIPTOR", `Invalid srcset descriptor "${desc}".`);
       }
     }
 
+    // 14. If future-compat-h is not absent and width is absent, let error be
+    //     yes. (Only in strict mode, so that parsing stays as lenient as it was
+    //     by default)
+    if (strict && h && !w) {
+      descriptor = hDescriptor;
+      setError(
+        "HEIGHT_WITHOUT_WIDTH",
+        `Height descriptor "${hDescriptor.value}" needs a width descriptor.`
+      );
+    }
+
     // 15. If error is still no, then append a new image source to candidates whose
     // URL is url, associated with a width width if not absent and a pixel
     // density density if not absent. Otherwise, there is a parse error.
+    const source = {
+      value: url,
+      startOffset,
+      endOffset: startOffset + url.length,
+    };
+
+    candidateStrings.push({ source, descriptors, startOffset, endOffset });
+
     if (!pError) {
-      candidate.source = { value: url, startOffset };
+      candidate.source = source;
 
       if (w) {
-        candidate.width = { value: w };
+        candidate.width = {
+          value: w,
+          startOffset: wDescriptor.startOffset,
+          endOffset: wDescriptor.endOffset,
+        };
       }
 
       if (d) {
-        candidate.density = { value: d };
+        candidate.density = {
+          value: d,
+          startOffset: dDescriptor.startOffset,
+          endOffset: dDescriptor.endOffset,
+        };
       }
 
       if (h) {
-        candidate.height = { value: h };
+        candidate.height = {
+          value: h,
+          startOffset: hDescriptor.startOffset,
+          endOffset: hDescriptor.endOffset,
+        };
       }
 
+      // (The intrinsic aspect ratio of the image, as width / height)
+      if (w && h) {
+        candidate.aspectRatio = w / h;
+      }
+
+      candidate.startOffset = startOffset;
+      candidate.endOffset = endOffset;
+
       candidates.push(candidate);
     } else {
-      throw new Error(
-        `Invalid srcset descriptor found in "${input}" at "${desc}".`
+      const error = new SrcsetParseError(pError.code, pError.message, {
+        input,
+        startOffset: pError.descriptor.startOffset,
+        endOffset: pError.descriptor.endOffset,
+        candidateIndex: candidates.length + dropped.length,
+      });
+
+      if (!recover) {
+        throw error;
+      }
+
+      // (Like a browser, skip this candidate and carry on with the next one)
+      dropped.push({ source, startOffset, endOffset, error });
+    }
+  }
+}
+
+/**
+ * Calls visit with each object of a parse result, or SrcsetParseError, that
+ * has offsets. (Objects shared between parts of the result are visited once)
+ */
+function visitRanges(node, visit, seen = new Set()) {
+  if (node === null || typeof node !== "object" || seen.has(node)) {
+    return;
+  }
+
+  seen.add(node);
+
+  for (const value of Object.values(node)) {
+    visitRanges(value, visit, seen);
+  }
+
+  if (typeof node.startOffset === "number") {
+    visit(node);
+  }
+}
+
+/**
+ * Adds `loc` to each object of a parse result that has offsets, when loc is
+ * set, and converts the offsets into offsetUnit.
+ */
+function addLocations(result, input, loc, offsetUnit) {
+  const nodes = [];
+
+  visitRanges(result, (node) => nodes.push(node));
+
+  const positions = locate(
+    input,
+    nodes.flatMap(({ startOffset, endOffset }) => [startOffset, endOffset]),
+    offsetUnit
+  );
+
+  for (const node of nodes) {
+    const start = positions.get(node.startOffset);
+    const end = positions.get(node.endOffset);
+
+    if (node instanceof SrcsetParseError) {
+      codeUnitRanges.set(node, [node.startOffset, node.endOffset]);
+    }
+
+    node.startOffset = start.offset;
+    node.endOffset = end.offset;
+
+    if (loc) {
+      node.loc = {
+        start: { line: start.line, column: start.column },
+        end: { line: end.line, column: end.column },
+      };
+    }
+  }
+}
+
+/**
+ * Runs the parsing algorithm with the options of the parse functions:
+ * `html` to parse the raw text of an HTML attribute, decoding its character
+ * references first so that offsets point into the raw text, `loc` to add
+ * line and column positions, `offsetUnit` to count offsets in code points
+ * or UTF-8 bytes, and `strict` to make a height descriptor without a width
+ * descriptor an error.
+ * Returns the result of parse.
+ */
+function parseInput(input, recover, options = {}) {
+  const {
+    html = false,
+    loc = false,
+    offsetUnit = "utf16",
+    strict = false,
+  } = options;
+
+  if (!offsetUnits.includes(offsetUnit)) {
+    throw new TypeError(
+      `Unknown offset unit "${offsetUnit}", expected ${offsetUnits.join(", ")}.`
+    );
+  }
+
+  const { value, offsets } = html
+    ? decodeAttributeValue(input)
+    : { value: input };
+
+  function finish(result) {
+    if (html) {
+      visitRanges(result, (node) => {
+        node.startOffset = offsets[node.startOffset];
+        node.endOffset = offsets[node.endOffset];
+
+        if (node instanceof SrcsetParseError) {
+          node.input = input;
+        }
+      });
+    }
+
+    if (loc || offsetUnit !== "utf16") {
+      addLocations(result, input, loc, offsetUnit);
+    }
+
+    return result;
+  }
+
+  let result;
+
+  try {
+    result = parse(value, recover, strict);
+  } catch (error) {
+    throw error instanceof SrcsetParseError ? finish(error) : error;
+  }
+
+  return finish(result);
+}
+
+function parseSrcset(input, options) {
+  return parseInput(input, false, options).candidates;
+}
+
+/**
+ * Parses like a browser does: a candidate with an invalid descriptor is
+ * dropped instead of failing the whole attribute, and an empty input yields
+ * no candidates.
+ * @returns {candidates, dropped}
+ */
+function parseSrcsetLoose(input, options) {
+  const { candidates, dropped } = parseInput(input, true, options);
+
+  return { candidates, dropped };
+}
+
+/**
+ * Parses like parseSrcsetLoose, and also reports what the spec calls a parse
+ * error but doesn't stop the algorithm: commas collected by the splitting loop,
+ * and more than one comma removed from the end of a url. A conformance checker
+ * reports these as errors, while browsers ignore them.
+ * @returns {candidates, dropped, parseErrors}
+ */
+function checkSrcsetConformance(input, options) {
+  const { candidates, dropped, parseErrors } = parseInput(input, true, options);
+
+  return { candidates, dropped, parseErrors };
+}
+
+/**
+ * Splits a run of whitespace and commas, from startOffset to endOffset, into
+ * Whitespace and Comma leaves.
+ * Returns an array of nodes.
+ */
+function triviaNodes(input, startOffset, endOffset) {
+  const nodes = [];
+  let position = startOffset;
+
+  while (position < endOffset) {
+    const nodeStart = position;
+
+    if (input[position] === ",") {
+      position += 1;
+    } else {
+      while (position < endOffset && input[position] !== ",") {
+        position += 1;
+      }
+    }
+
+    nodes.push({
+      type: input[nodeStart] === "," ? "Comma" : "Whitespace",
+      value: input.slice(nodeStart, position),
+      startOffset: nodeStart,
+      endOffset: position,
+    });
+  }
+
+  return nodes;
+}
+
+/**
+ * Splits a raw descriptor into Text leaves and the ParenGroup leaves the
+ * tokenizer's "in parens" state collects (which run to the end of the
+ * descriptor when they aren't closed).
+ * Returns a Descriptor node.
+ */
+function descriptorNode({ value, startOffset, endOffset }) {
+  const children = [];
+  let position = 0;
+
+  function push(type, end, properties) {
+    children.push({
+      type,
+      value: value.slice(position, end),
+      ...properties,
+      startOffset: startOffset + position,
+      endOffset: startOffset + end,
+    });
+    position = end;
+  }
+
+  while (position < value.length) {
+    const open = value.indexOf("(", position);
+
+    if (open === -1) {
+      push("Text", value.length);
+    } else if (open > position) {
+      push("Text", open);
+    } else {
+      const close = value.indexOf(")", open);
+
+      push("ParenGroup", close === -1 ? value.length : close + 1, {
+        closed: close !== -1,
+      });
+    }
+  }
+
+  return { type: "Descriptor", value, children, startOffset, endOffset };
+}
+
+/**
+ * Parses a srcset into a concrete syntax tree that keeps every character:
+ * a SrcsetList of ImageCandidate nodes, with the Whitespace and Comma leaves
+ * between them. Each candidate has a Url leaf and Descriptor nodes, whether
+ * they are valid or not. Concatenating the values of the leaves gives back
+ * the input.
+ * @returns {type: "SrcsetList", children, startOffset, endOffset}
+ */
+function parseSrcsetCST(input) {
+  const children = [];
+  let position = 0;
+
+  for (const { source, descriptors, startOffset, endOffset } of parse(
+    input,
+    true
+  ).candidateStrings) {
+    const candidateChildren = [{ type: "Url", ...source }];
+
+    children.push(...triviaNodes(input, position, startOffset));
+    position = source.endOffset;
+
+    for (const descriptor of descriptors) {
+      candidateChildren.push(
+        ...triviaNodes(input, position, descriptor.startOffset),
+        descriptorNode(descriptor)
       );
+      position = descriptor.endOffset;
     }
+
+    // (Whitespace and the comma that ends the candidate, or the commas removed
+    // from the end of the url)
+    candidateChildren.push(...triviaNodes(input, position, endOffset));
+    position = endOffset;
+
+    children.push({
+      type: "ImageCandidate",
+      children: candidateChildren,
+      startOffset,
+      endOffset,
+    });
   }
+
+  children.push(...triviaNodes(input, position, input.length));
+
+  return {
+    type: "SrcsetList",
+    children,
+    startOffset: 0,
+    endOffset: input.length,
+  };
 }
 
-export default parseSrcset;
\ No newline at end of file
+export default parseSrcset;
+export {
+  checkSrcsetConformance,
+  parseSrcsetCST,
+  parseSrcsetLoose,
+  SrcsetParseError,
+};
+export { stringifySrcset } from "./stringify.js";
+export { formatSrcset } from "./format.js";
+export { canonicalizeSrcset } from "./canonicalize.js";
+export { parseSizes, parseSizesLoose } from "./sizes.js";
+export {
+  evaluateMediaCondition,
+  evaluateMediaQueryList,
+  evaluateSizes,
+} from "./evaluate.js";
+export {
+  normalizeDensities,
+  selectCandidate,
+  selectionStrategies,
+} from "./select.js";
+export { lintRules, lintSrcset } from "./lint.js";
+export { parseImageSet } from "./image-set.js";
+export { resolveSrcset } from "./resolve.js";
+export { annotateDataUrls, parseDataUrl } from "./data-url.js";
+export { parsePicture, selectPictureSource } from "./picture.js";
+export { buildSrcset } from "./build.js";
+export { transformSrcset } from "./transform.js";
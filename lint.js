@@ -0,0 +1,369 @@
+/**
+ * Srcset Linter
+ *
+ * Checks a srcset for mistakes that still parse, like mixing width and
+ * density descriptors, with individually configurable rules.
+ */
+
+import {
+  checkSrcsetConformance,
+  parseSrcsetLoose,
+  SrcsetParseError,
+} from "./index.js";
+import { candidateIndexes } from "./candidate-index.js";
+import { parseDataUrl } from "./data-url.js";
+
+/**
+ * Rounds an aspect ratio for messages, like 1.333 for 4:3.
+ * Returns a number.
+ */
+function formatRatio(aspectRatio) {
+  return Math.round(aspectRatio * 1000) / 1000;
+}
+
+/**
+ * Rules, by name. Each one has a default severity and default options, and a
+ * check that calls report(message, range, candidate) for each problem in the
+ * parsed candidates, where range has a startOffset and an endOffset.
+ */
+const lintRules = {
+  // Candidates the parser drops (or no candidates at all).
+  "no-invalid-candidates": {
+    severity: "error",
+    check({ input, dropped, candidates }, options, report) {
+      for (const droppedCandidate of dropped) {
+        const { error } = droppedCandidate;
+
+        report(error.message, error, droppedCandidate);
+      }
+
+      if (candidates.length === 0 && dropped.length === 0) {
+        report("Must contain one or more image candidate strings.", {
+          startOffset: 0,
+          endOffset: input.length,
+        });
+      }
+    },
+  },
+
+  // Width descriptors together with density descriptors, or with candidates
+  // without descriptors.
+  "no-mixed-descriptors": {
+    severity: "error",
+    check({ candidates }, options, report) {
+      if (!candidates.some(({ width }) => width)) {
+        return;
+      }
+
+      for (const candidate of candidates) {
+        if (!candidate.width) {
+          report(
+            `Candidates with a width descriptor can't be mixed with ${
+              candidate.density
+                ? "density descriptors"
+                : "candidates without one"
+            }.`,
+            candidate.density || candidate.source,
+            candidate
+          );
+        }
+      }
+    },
+  },
+
+  // Two candidates with the same width, or the same density.
+  "no-duplicate-descriptors": {
+    severity: "error",
+    check({ candidates }, options, report) {
+      const seen = new Set();
+
+      for (const candidate of candidates) {
+        const descriptor = candidate.width || candidate.density;
+        // (Candidates without a descriptor are handled by no-bare-url-with-1x
+        // when there's also a 1x one)
+        const key = candidate.width
+          ? `${candidate.width.value}w`
+          : candidate.density
+          ? `${candidate.density.value}x`
+          : "implicit 1x";
+
+        if (seen.has(key)) {
+          report(
+            `Duplicate ${key} descriptor.`,
+            descriptor || candidate.source,
+            candidate
+          );
+        }
+
+        seen.add(key);
+      }
+    },
+  },
+
+  // A candidate without descriptors, which means 1x, next to an explicit 1x.
+  "no-bare-url-with-1x": {
+    severity: "error",
+    check({ candidates }, options, report) {
+      const explicit = candidates.find(
+        ({ density }) => density && density.value === 1
+      );
+      const bare = candidates.filter(
+        ({ width, density }) => !width && !density
+      );
+
+      if (!explicit || bare.length === 0) {
+        return;
+      }
+
+      for (const candidate of bare) {
+        report(
+          `"${candidate.source.value}" has no descriptor, which means 1x, and "${explicit.source.value}" is already 1x.`,
+          candidate.source,
+          candidate
+        );
+      }
+    },
+  },
+
+  // The same URL in more than one candidate.
+  "no-duplicate-urls": {
+    severity: "warn",
+    check({ candidates }, options, report) {
+      const seen = new Set();
+
+      for (const candidate of candidates) {
+        if (seen.has(candidate.source.value)) {
+          report(
+            `Duplicate URL "${candidate.source.value}".`,
+            candidate.source,
+            candidate
+          );
+        }
+
+        seen.add(candidate.source.value);
+      }
+    },
+  },
+
+  // A height descriptor without a width descriptor, which the spec makes an
+  // error.
+  "height-requires-width": {
+    severity: "error",
+    check({ candidates }, options, report) {
+      for (const candidate of candidates) {
+        if (candidate.height && !candidate.width) {
+          report(
+            "A height descriptor needs a width descriptor.",
+            candidate.height,
+            candidate
+          );
+        }
+      }
+    },
+  },
+
+  // Candidates with a width and height whose aspect ratio isn't the one of the
+  // first such candidate, like when the wrong image was uploaded. Heights can
+  // be off by `tolerance` pixels, for rounding when images are resized.
+  "consistent-aspect-ratio": {
+    severity: "warn",
+    options: { tolerance: 1 },
+    check({ candidates }, { tolerance }, report) {
+      const [first, ...rest] = candidates.filter(
+        ({ aspectRatio }) => aspectRatio
+      );
+
+      if (!first) {
+        return;
+      }
+
+      // (The aspect ratios each candidate can have before rounding)
+      const bounds = ({ width, height }) => [
+        width.value / (height.value + tolerance),
+        width.value / Math.max(height.value - tolerance, 0),
+      ];
+      const [min, max] = bounds(first);
+
+      for (const candidate of rest) {
+        const [candidateMin, candidateMax] = bounds(candidate);
+
+        if (candidateMax < min || candidateMin > max) {
+          report(
+            `Aspect ratio of "${candidate.source.value}" (${formatRatio(
+              candidate.aspectRatio
+            )}) doesn't match the one of "${first.source.value}" (${formatRatio(
+              first.aspectRatio
+            )}).`,
+            candidate.height,
+            candidate
+          );
+        }
+      }
+    },
+  },
+
+  // Widths out of order. `order` is "ascending", "descending", or "any" for
+  // either as long as it's consistent.
+  "monotonic-widths": {
+    severity: "warn",
+    options: { order: "any" },
+    check({ candidates }, { order }, report) {
+      const widths = candidates.filter(({ width }) => width);
+      let direction = order === "any" ? undefined : order;
+
+      for (let i = 1; i < widths.length; i++) {
+        const previous = widths[i - 1].width.value;
+        const current = widths[i].width.value;
+
+        if (current === previous) {
+          continue;
+        }
+
+        const currentDirection =
+          current > previous ? "ascending" : "descending";
+
+        if (!direction) {
+          direction = currentDirection;
+        } else if (direction !== currentDirection) {
+          report(
+            `Widths should be in ${direction} order.`,
+            widths[i].width,
+            widths[i]
+          );
+        }
+      }
+    },
+  },
+
+  // More candidates than `max`.
+  "max-candidates": {
+    severity: "off",
+    options: { max: 10 },
+    check({ candidates }, { max }, report) {
+      if (candidates.length > max) {
+        report(
+          `Too many candidates: ${candidates.length}, the maximum is ${max}.`,
+          candidates[max],
+          candidates[max]
+        );
+      }
+    },
+  },
+
+  // data: URLs that decode to more than `max` bytes.
+  "max-data-url-size": {
+    severity: "off",
+    options: { max: 4096 },
+    check({ candidates }, { max }, report) {
+      for (const candidate of candidates) {
+        const dataUrl = parseDataUrl(candidate.source.value);
+
+        if (dataUrl && dataUrl.byteLength > max) {
+          report(
+            `Data URL is ${dataUrl.byteLength} bytes, the maximum is ${max}.`,
+            candidate.source,
+            candidate
+          );
+        }
+      }
+    },
+  },
+};
+
+const severities = new Set(["off", "warn", "error"]);
+
+/**
+ * Reads the configuration of a rule: a severity, or [severity, options].
+ * Returns {severity, options}.
+ */
+function ruleConfig(name, config) {
+  const rule = lintRules[name];
+
+  if (!rule) {
+    throw new TypeError(`Unknown srcset lint rule "${name}".`);
+  }
+
+  const [severity, options] = Array.isArray(config)
+    ? config
+    : [config === undefined ? rule.severity : config];
+
+  if (!severities.has(severity)) {
+    throw new TypeError(
+      `Severity of srcset lint rule "${name}" must be "off", "warn" or "error".`
+    );
+  }
+
+  return { severity, options: { ...rule.options, ...options } };
+}
+
+/**
+ * Lints a srcset. `rules` maps rule names to a severity ("off", "warn" or
+ * "error") or to [severity, options], and overrides the default configuration
+ * of those rules.
+ * @returns Array [{rule, severity, message, startOffset, endOffset, candidateIndex}, ...]
+ */
+function lintSrcset(input, rules = {}) {
+  for (const name of Object.keys(rules)) {
+    ruleConfig(name, rules[name]);
+  }
+
+  const parsed = { input, ...parseSrcsetLoose(input) };
+  const diagnostics = [];
+  const indexes = candidateIndexes(parsed);
+
+  for (const name of Object.keys(lintRules)) {
+    const { severity, options } = ruleConfig(name, rules[name]);
+
+    if (severity === "off") {
+      continue;
+    }
+
+    lintRules[name].check(
+      parsed,
+      options,
+      (message, { startOffset, endOffset }, candidate) => {
+        diagnostics.push({
+          rule: name,
+          severity,
+          message,
+          startOffset,
+          endOffset,
+          candidateIndex: candidate ? indexes.get(candidate) : null,
+        });
+      }
+    );
+  }
+
+  return diagnostics.sort((a, b) => a.startOffset - b.startOffset);
+}
+
+/**
+ * Collects the errors of a srcset, including the parse errors that don't stop
+ * the parsing algorithm, and an EMPTY_INPUT error when it has no candidates.
+ * Returns an array of SrcsetParseError, by offset.
+ */
+function srcsetErrors(value, html) {
+  const { candidates, dropped, parseErrors } = checkSrcsetConformance(value, {
+    html,
+  });
+  const errors = [...dropped.map(({ error }) => error), ...parseErrors];
+
+  if (candidates.length === 0 && dropped.length === 0) {
+    errors.push(
+      new SrcsetParseError(
+        "EMPTY_INPUT",
+        "Must contain one or more image candidate strings.",
+        {
+          input: value,
+          startOffset: 0,
+          endOffset: value.length,
+          candidateIndex: null,
+        }
+      )
+    );
+  }
+
+  return errors.sort((a, b) => a.startOffset - b.startOffset);
+}
+
+export { lintRules, lintSrcset, srcsetErrors };
@@ -0,0 +1,167 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {lintRules, lintSrcset} from './index.js';
+
+const rulesOf = (input, rules) => lintSrcset(input, rules).map(({rule}) => rule);
+
+test('valid srcsets have no diagnostics', () => {
+	assert.deepEqual(lintSrcset('a.jpg 320w, b.jpg 640w, c.jpg 1280w'), []);
+	assert.deepEqual(lintSrcset('a.jpg, b.jpg 2x'), []);
+	assert.deepEqual(lintSrcset('a.jpg 100w 50h, b.jpg 200w 100h'), []);
+});
+
+test('no-invalid-candidates', () => {
+	assert.deepEqual(lintSrcset('a.jpg foo, b.jpg 2x'), [{
+		rule: 'no-invalid-candidates',
+		severity: 'error',
+		message: 'Invalid srcset descriptor "foo".',
+		startOffset: 6,
+		endOffset: 9,
+		candidateIndex: 0,
+	}]);
+	assert.deepEqual(rulesOf(''), ['no-invalid-candidates']);
+	assert.equal(lintSrcset(' ')[0].candidateIndex, null);
+});
+
+test('no-mixed-descriptors', () => {
+	const diagnostics = lintSrcset('a.jpg 100w, b.jpg 2x, c.jpg');
+	assert.deepEqual(diagnostics.map(({rule}) => rule), ['no-mixed-descriptors', 'no-mixed-descriptors']);
+	assert.deepEqual(diagnostics.map(({startOffset, endOffset}) => [startOffset, endOffset]), [[18, 20], [22, 27]]);
+	assert.deepEqual(rulesOf('a.jpg 2x, b.jpg'), []);
+});
+
+test('no-duplicate-descriptors', () => {
+	assert.deepEqual(lintSrcset('a.jpg 100w, b.jpg 100w'), [{
+		rule: 'no-duplicate-descriptors',
+		severity: 'error',
+		message: 'Duplicate 100w descriptor.',
+		startOffset: 18,
+		endOffset: 22,
+		candidateIndex: 1,
+	}]);
+	assert.deepEqual(rulesOf('a.jpg 2x, b.jpg 2.0x'), ['no-duplicate-descriptors']);
+	assert.deepEqual(rulesOf('a.jpg, b.jpg'), ['no-duplicate-descriptors']);
+});
+
+test('no-bare-url-with-1x', () => {
+	assert.deepEqual(lintSrcset('a.jpg 1x, b.jpg'), [{
+		rule: 'no-bare-url-with-1x',
+		severity: 'error',
+		message: '"b.jpg" has no descriptor, which means 1x, and "a.jpg" is already 1x.',
+		startOffset: 10,
+		endOffset: 15,
+		candidateIndex: 1,
+	}]);
+});
+
+test('no-duplicate-urls', () => {
+	assert.deepEqual(lintSrcset('a.jpg 1x, a.jpg 2x'), [{
+		rule: 'no-duplicate-urls',
+		severity: 'warn',
+		message: 'Duplicate URL "a.jpg".',
+		startOffset: 10,
+		endOffset: 15,
+		candidateIndex: 1,
+	}]);
+});
+
+test('height-requires-width', () => {
+	assert.deepEqual(rulesOf('a.jpg 50h'), ['height-requires-width']);
+	assert.deepEqual(lintSrcset('a.jpg 50h')[0].startOffset, 6);
+});
+
+test('consistent-aspect-ratio', () => {
+	assert.deepEqual(lintSrcset('a.jpg 640w 427h, b.jpg 1280w 960h'), [{
+		rule: 'consistent-aspect-ratio',
+		severity: 'warn',
+		message: 'Aspect ratio of "b.jpg" (1.333) doesn\'t match the one of "a.jpg" (1.499).',
+		startOffset: 29,
+		endOffset: 33,
+		candidateIndex: 1,
+	}]);
+	// (Heights rounded when images were resized)
+	assert.deepEqual(rulesOf('a.jpg 100w 67h, b.jpg 300w, c.jpg 640w 427h, d.jpg 1000w 666h'), []);
+	assert.deepEqual(rulesOf('a.jpg 100w 67h, b.jpg 1000w 666h', {'consistent-aspect-ratio': ['warn', {tolerance: 0}]}), ['consistent-aspect-ratio']);
+});
+
+test('monotonic-widths', () => {
+	assert.deepEqual(rulesOf('a.jpg 100w, b.jpg 300w, c.jpg 200w'), ['monotonic-widths']);
+	assert.deepEqual(rulesOf('a.jpg 300w, b.jpg 200w, c.jpg 100w'), []);
+	assert.deepEqual(rulesOf('a.jpg 300w, b.jpg 200w', {'monotonic-widths': ['warn', {order: 'ascending'}]}), ['monotonic-widths']);
+	assert.deepEqual(rulesOf('a.jpg 100w, b.jpg 200w', {'monotonic-widths': ['warn', {order: 'descending'}]}), ['monotonic-widths']);
+	assert.equal(lintSrcset('a.jpg 100w, b.jpg 300w, c.jpg 200w')[0].message, 'Widths should be in ascending order.');
+});
+
+test('max-candidates is off by default', () => {
+	const srcset = Array.from({length: 12}, (_, i) => `${i}.jpg ${i + 1}x`).join(', ');
+	assert.deepEqual(lintSrcset(srcset), []);
+	assert.deepEqual(rulesOf(srcset, {'max-candidates': 'error'}), ['max-candidates']);
+	assert.deepEqual(lintSrcset('a 1x, b 2x, c 3x', {'max-candidates': ['warn', {max: 2}]}), [{
+		rule: 'max-candidates',
+		severity: 'warn',
+		message: 'Too many candidates: 3, the maximum is 2.',
+		startOffset: 12,
+		endOffset: 16,
+		candidateIndex: 2,
+	}]);
+});
+
+test('max-data-url-size is off by default', () => {
+	const srcset = `data:image/png;base64,${'A'.repeat(8)} 1x, data:,${'a'.repeat(5000)} 2x, b.png 3x`;
+	assert.deepEqual(lintSrcset(srcset), []);
+	assert.deepEqual(lintSrcset(srcset, {'max-data-url-size': 'warn'}), [{
+		rule: 'max-data-url-size',
+		severity: 'warn',
+		message: 'Data URL is 5000 bytes, the maximum is 4096.',
+		startOffset: 35,
+		endOffset: 5041,
+		candidateIndex: 1,
+	}]);
+	assert.deepEqual(rulesOf(srcset, {'max-data-url-size': ['error', {max: 5}]}), ['max-data-url-size', 'max-data-url-size']);
+});
+
+test('severities can be changed', () => {
+	assert.deepEqual(rulesOf('a.jpg 1x, a.jpg 2x', {'no-duplicate-urls': 'off'}), []);
+	assert.equal(lintSrcset('a.jpg 1x, a.jpg 2x', {'no-duplicate-urls': 'error'})[0].severity, 'error');
+	assert.equal(lintSrcset('a.jpg 1x, a.jpg 2x', {'no-duplicate-urls': ['error']})[0].severity, 'error');
+});
+
+test('candidate indexes count invalid candidates', () => {
+	assert.deepEqual(
+		lintSrcset('a.jpg foo, b.jpg 100w, c.jpg 2x').map(({candidateIndex}) => candidateIndex),
+		[0, 2]
+	);
+});
+
+test('diagnostics are sorted by offset', () => {
+	assert.deepEqual(rulesOf('a.jpg 50h, b.jpg 100w, b.jpg 100w'), [
+		'no-mixed-descriptors',
+		'height-requires-width',
+		'no-duplicate-urls',
+		'no-duplicate-descriptors',
+	]);
+});
+
+test('invalid configuration', () => {
+	assert.throws(() => lintSrcset('a.jpg', {'no-such-rule': 'error'}), {name: 'TypeError', message: 'Unknown srcset lint rule "no-such-rule".'});
+	assert.throws(() => lintSrcset('a.jpg', {'max-candidates': 'fatal'}), TypeError);
+	assert.throws(() => lintSrcset('a.jpg', {'max-candidates': 2}), TypeError);
+});
+
+test('lintRules', () => {
+	assert.deepEqual(
+		Object.fromEntries(Object.entries(lintRules).map(([name, {severity}]) => [name, severity])),
+		{
+			'no-invalid-candidates': 'error',
+			'no-mixed-descriptors': 'error',
+			'no-duplicate-descriptors': 'error',
+			'no-bare-url-with-1x': 'error',
+			'no-duplicate-urls': 'warn',
+			'height-requires-width': 'error',
+			'consistent-aspect-ratio': 'warn',
+			'monotonic-widths': 'warn',
+			'max-candidates': 'off',
+			'max-data-url-size': 'off',
+		}
+	);
+});
@@ -0,0 +1,83 @@
+/**
+ * Source Locations
+ *
+ * Converts UTF-16 offsets into offsets in other units, and into ESTree-style
+ * line and column positions.
+ */
+
+const offsetUnits = ["utf16", "codePoint", "utf8"];
+
+/**
+ * Counts the units of the character made of code, and of the low surrogate
+ * after it when pair is set.
+ * Returns a number.
+ */
+function unitLength(code, pair, offsetUnit) {
+  if (offsetUnit === "utf16") {
+    return pair ? 2 : 1;
+  }
+
+  if (offsetUnit === "codePoint") {
+    return 1;
+  }
+
+  // (A lone surrogate is encoded as U+FFFD, in 3 bytes)
+  if (pair) {
+    return 4;
+  }
+
+  return code < 0x80 ? 1 : code < 0x800 ? 2 : 3;
+}
+
+/**
+ * Locates UTF-16 offsets of input, in one pass over the input however many
+ * offsets there are. Lines start at 1 and columns at 0, like in ESTree, and
+ * both columns and offsets are counted in offsetUnit: UTF-16 code units, code
+ * points or UTF-8 bytes. Line breaks are LF, CR LF and CR, like in the HTML
+ * input stream.
+ * Returns a Map of each offset to {offset, line, column}.
+ */
+function locate(input, offsets, offsetUnit) {
+  const positions = new Map();
+  let position = 0;
+  let units = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  for (const target of [...new Set(offsets)].sort((a, b) => a - b)) {
+    while (position < target) {
+      const code = input.charCodeAt(position);
+      const pair =
+        code >= 0xd800 &&
+        code <= 0xdbff &&
+        (input.charCodeAt(position + 1) & 0xfc00) === 0xdc00;
+
+      // (Don't step past an offset between the two halves of a pair)
+      if (pair && position + 1 === target) {
+        break;
+      }
+
+      units += unitLength(code, pair, offsetUnit);
+      position += pair ? 2 : 1;
+
+      if (
+        code === 0x0a ||
+        (code === 0x0d && input.charCodeAt(position) !== 0x0a)
+      ) {
+        line += 1;
+        lineStart = units;
+      }
+    }
+
+    // (Such an offset, which only UTF-16 offsets can be, is after the high
+    // surrogate in UTF-16, and at the start of the code point in other units)
+    const offset =
+      units + (position < target && offsetUnit === "utf16" ? 1 : 0);
+
+    positions.set(target, { offset, line, column: offset - lineStart });
+  }
+
+  return positions;
+}
+
+export { locate, offsetUnits };
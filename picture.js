@@ -0,0 +1,269 @@
+/**
+ * Picture Elements
+ *
+ * Models a <picture> element, its <source> children and its <img>, from their
+ * attributes, and predicts which source and candidate a browser picks,
+ * following the "update the source set" steps at:
+ * https://html.spec.whatwg.org/multipage/images.html#update-the-source-set
+ *
+ * Comments in quotes are copied from the spec.
+ */
+
+import { parseSrcsetLoose, SrcsetParseError } from "./index.js";
+import { parseSizesLoose } from "./sizes.js";
+import {
+  evaluateMediaQueries,
+  evaluateMediaQueryList,
+  evaluateSizes,
+} from "./evaluate.js";
+import { selectCandidate } from "./select.js";
+
+// (A valid MIME type string: a type and a subtype made of HTTP token code
+// points, and parameters with a token or quoted string value)
+const token = "[!#$%&'*+.^_`|~0-9a-zA-Z-]+";
+const regexMimeType = new RegExp(
+  `^${token}/${token}(?:[ \\t]*;[ \\t]*${token}=(?:${token}|"(?:[^"\\\\]|\\\\.)*"))*$`
+);
+
+const defaultSupportedTypes = [
+  "image/avif",
+  "image/webp",
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/svg+xml",
+];
+
+/**
+ * Reads the essence of a MIME type, like "image/webp" for
+ * "image/webp; codecs=x".
+ * Returns a string in lowercase.
+ */
+function mimeTypeEssence(value) {
+  return value.split(";")[0].trim().toLowerCase();
+}
+
+/**
+ * Parses the attributes of a <source> or an <img>, collecting the errors of
+ * each in errors as {element, index, attribute, error}.
+ * Returns {srcset?, sizes?, media?, type?, src?}.
+ */
+function parseAttributes(attributes, element, index, errors) {
+  const model = {};
+
+  function report(attribute, error) {
+    errors.push({ element, index, attribute, error });
+  }
+
+  function invalidAttribute(attribute, code, message) {
+    const value = attributes[attribute] || "";
+
+    report(
+      attribute,
+      new SrcsetParseError(code, message, {
+        input: value,
+        startOffset: 0,
+        endOffset: value.length,
+        candidateIndex: null,
+      })
+    );
+  }
+
+  if (attributes.srcset !== undefined) {
+    const { candidates, dropped } = parseSrcsetLoose(attributes.srcset);
+
+    model.srcset = { value: attributes.srcset, candidates, dropped };
+
+    for (const { error } of dropped) {
+      report("srcset", error);
+    }
+
+    // (When present, it must have candidates)
+    if (candidates.length === 0 && dropped.length === 0) {
+      invalidAttribute(
+        "srcset",
+        "EMPTY_INPUT",
+        "Must contain one or more image candidate strings."
+      );
+    }
+  } else if (element === "source") {
+    invalidAttribute(
+      "srcset",
+      "EMPTY_INPUT",
+      "A <source> in a <picture> must have a srcset."
+    );
+  }
+
+  if (attributes.sizes !== undefined) {
+    const { sizes, dropped } = parseSizesLoose(attributes.sizes);
+
+    model.sizes = { value: attributes.sizes, sizes, dropped };
+
+    for (const { error } of dropped) {
+      report("sizes", error);
+    }
+  }
+
+  if (attributes.media !== undefined) {
+    // (The environment doesn't matter to tell whether the queries are valid)
+    const valid = !evaluateMediaQueries(attributes.media, {
+      viewportWidth: 0,
+      viewportHeight: 0,
+    }).includes(null);
+
+    model.media = { value: attributes.media, valid };
+
+    if (!valid) {
+      invalidAttribute(
+        "media",
+        "INVALID_MEDIA_QUERY",
+        `Invalid media query list "${attributes.media}".`
+      );
+    }
+  }
+
+  if (attributes.type !== undefined) {
+    const valid = regexMimeType.test(attributes.type);
+
+    model.type = {
+      value: attributes.type,
+      essence: mimeTypeEssence(attributes.type),
+      valid,
+    };
+
+    if (!valid) {
+      invalidAttribute(
+        "type",
+        "INVALID_MIME_TYPE",
+        `Invalid MIME type "${attributes.type}".`
+      );
+    }
+  }
+
+  if (attributes.src !== undefined) {
+    model.src = { value: attributes.src };
+  }
+
+  return model;
+}
+
+/**
+ * Parses a <picture> element from the attributes of its <source> children and
+ * of its <img>, given as plain objects like
+ * {sources: [{srcset, sizes, media, type}, ...], img: {src, srcset, sizes}}.
+ * Errors don't throw: they are collected, with the element and attribute they
+ * are about.
+ * @returns {sources, img, errors}
+ */
+function parsePicture(picture) {
+  const { sources = [], img = {} } = picture;
+  const errors = [];
+
+  return {
+    sources: sources.map((attributes, index) =>
+      parseAttributes(attributes, "source", index, errors)
+    ),
+    img: parseAttributes(img, "img", null, errors),
+    errors,
+  };
+}
+
+/**
+ * Predicts which source, and which of its candidates, a browser picks for a
+ * parsed <picture>.
+ * `environment` is the same as for evaluateSizes, `supportedTypes` lists the
+ * MIME types the browser can decode, and `strategy` is passed on to
+ * selectCandidate.
+ * @returns {element, index, candidate, density, sourceSizePx}, or null if
+ * there is nothing to pick.
+ */
+function selectPictureSource(model, options = {}) {
+  const {
+    environment,
+    supportedTypes = defaultSupportedTypes,
+    strategy,
+  } = options;
+
+  if (!environment) {
+    throw new TypeError("An environment is needed to select a picture source.");
+  }
+
+  const supported = new Set(supportedTypes.map(mimeTypeEssence));
+
+  function select(element, index, candidates, sizes) {
+    // (Without a sizes attribute, the source size is 100vw)
+    const sourceSizePx = evaluateSizes(sizes ? sizes.value : "", environment);
+    const selected = selectCandidate(candidates, {
+      devicePixelRatio: environment.devicePixelRatio,
+      sourceSizePx,
+      strategy,
+    });
+
+    return selected && { element, index, ...selected, sourceSizePx };
+  }
+
+  // "For each child in elements:"
+  for (const [index, source] of model.sources.entries()) {
+    // "If child does not have a srcset attribute, continue to the next child."
+    // "Parse child's srcset attribute [...] If source set has zero image
+    // sources, continue to the next child."
+    if (!source.srcset || source.srcset.candidates.length === 0) {
+      continue;
+    }
+
+    // "If child has a media attribute, and its value does not match the
+    // environment, continue to the next child."
+    if (
+      source.media &&
+      !evaluateMediaQueryList(source.media.value, environment)
+    ) {
+      continue;
+    }
+
+    // "If child has a type attribute, and its value is an unknown or
+    // unsupported MIME type, continue to the next child."
+    if (
+      source.type &&
+      !(source.type.valid && supported.has(source.type.essence))
+    ) {
+      continue;
+    }
+
+    return select("source", index, source.srcset.candidates, source.sizes);
+  }
+
+  // (When no source is picked, the img is, with its src as a candidate)
+  const { img } = model;
+  const candidates = img.srcset ? [...img.srcset.candidates] : [];
+
+  // "If el is an img element that has a src attribute whose value is not the
+  // empty string and source set does not contain an image source with a pixel
+  // density descriptor value of 1, and no image source with a width
+  // descriptor, append a new image source whose URL is el's src attribute
+  // value."
+  if (
+    img.src &&
+    img.src.value !== "" &&
+    !candidates.some(
+      ({ width, density }) => width || (density && density.value === 1)
+    )
+  ) {
+    candidates.push({
+      source: {
+        value: img.src.value,
+        startOffset: 0,
+        endOffset: img.src.value.length,
+      },
+      startOffset: 0,
+      endOffset: img.src.value.length,
+    });
+  }
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  return select("img", null, candidates, img.sizes);
+}
+
+export { parsePicture, selectPictureSource };
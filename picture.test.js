@@ -0,0 +1,117 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {parsePicture, selectPictureSource, SrcsetParseError} from './index.js';
+
+const desktop = {viewportWidth: 1200, viewportHeight: 800};
+const phone = {viewportWidth: 375, viewportHeight: 812, devicePixelRatio: 3};
+
+const picture = parsePicture({
+	sources: [
+		{srcset: 'hero.avif 1x, hero-2x.avif 2x', type: 'image/avif'},
+		{srcset: 'wide.webp 800w, wide-2x.webp 1600w', sizes: '50vw', media: '(min-width: 1000px)', type: 'image/webp'},
+		{srcset: 'narrow.jpg 400w, narrow-2x.jpg 800w, narrow-3x.jpg 1200w', media: 'screen and (max-width: 999px)'},
+	],
+	img: {src: 'fallback.jpg', srcset: 'fallback-2x.jpg 2x'},
+});
+
+const selected = (model, options) => {
+	const result = selectPictureSource(model, options);
+	return result && [result.element, result.index, result.candidate.source.value];
+};
+
+test('parses every attribute', () => {
+	const [, wide] = picture.sources;
+	assert.deepEqual(wide.srcset.candidates.map(({source}) => source.value), ['wide.webp', 'wide-2x.webp']);
+	assert.equal(wide.srcset.value, 'wide.webp 800w, wide-2x.webp 1600w');
+	assert.deepEqual(wide.sizes.sizes.map(({size}) => size.value), ['50vw']);
+	assert.deepEqual(wide.media, {value: '(min-width: 1000px)', valid: true});
+	assert.deepEqual(wide.type, {value: 'image/webp', essence: 'image/webp', valid: true});
+	assert.deepEqual(picture.img.src, {value: 'fallback.jpg'});
+	assert.deepEqual(picture.errors, []);
+});
+
+test('MIME types', () => {
+	const typeOf = type => parsePicture({sources: [{srcset: 'a', type}]}).sources[0].type;
+	assert.deepEqual(typeOf('Image/WebP; codecs="vp8, vorbis"'), {value: 'Image/WebP; codecs="vp8, vorbis"', essence: 'image/webp', valid: true});
+	assert.equal(typeOf('image/avif;q=1;x=y').valid, true);
+	assert.equal(typeOf('image').valid, false);
+	assert.equal(typeOf('image/ webp').valid, false);
+	assert.equal(typeOf('image/webp;').valid, false);
+	assert.equal(typeOf('').valid, false);
+});
+
+test('errors', () => {
+	const {errors} = parsePicture({
+		sources: [
+			{srcset: 'a.avif 1x, b.avif foo', type: 'image avif'},
+			{},
+			{srcset: ' ', media: 'screen and', sizes: '(min-width: 1px) 10px, foo'},
+		],
+		img: {src: 'a.jpg', srcset: 'a.jpg 1x 2x'},
+	});
+	assert.deepEqual(errors.map(({element, index, attribute, error}) => [element, index, attribute, error.code]), [
+		['source', 0, 'srcset', 'INVALID_DESCRIPTOR'],
+		['source', 0, 'type', 'INVALID_MIME_TYPE'],
+		['source', 1, 'srcset', 'EMPTY_INPUT'],
+		['source', 2, 'srcset', 'EMPTY_INPUT'],
+		['source', 2, 'sizes', 'INVALID_SIZE_VALUE'],
+		['source', 2, 'media', 'INVALID_MEDIA_QUERY'],
+		['img', null, 'srcset', 'DUPLICATE_DESCRIPTOR'],
+	]);
+	assert.ok(errors.every(({error}) => error instanceof SrcsetParseError));
+	assert.equal(errors[1].error.message, 'Invalid MIME type "image avif".');
+	assert.equal(errors[5].error.getCodeFrame(), 'screen and\n^^^^^^^^^^');
+});
+
+test('the first source with a supported type wins', () => {
+	assert.deepEqual(selected(picture, {environment: desktop}), ['source', 0, 'hero.avif']);
+	assert.deepEqual(selected(picture, {environment: {...desktop, devicePixelRatio: 2}}), ['source', 0, 'hero-2x.avif']);
+	assert.deepEqual(selected(picture, {environment: desktop, supportedTypes: ['image/webp', 'image/jpeg']}), ['source', 1, 'wide.webp']);
+	assert.deepEqual(selected(picture, {environment: desktop, supportedTypes: ['IMAGE/WEBP; codecs=x']}), ['source', 1, 'wide.webp']);
+});
+
+test('media queries', () => {
+	const options = {supportedTypes: ['image/jpeg']};
+	assert.deepEqual(selected(picture, {...options, environment: phone}), ['source', 2, 'narrow-3x.jpg']);
+	assert.deepEqual(selected(picture, {...options, environment: desktop}), ['img', null, 'fallback.jpg']);
+	assert.deepEqual(selected(picture, {...options, environment: {...phone, mediaType: 'print'}}), ['img', null, 'fallback-2x.jpg']);
+});
+
+test('source sizes', () => {
+	const result = selectPictureSource(picture, {environment: {...desktop, devicePixelRatio: 2}, supportedTypes: ['image/webp']});
+	assert.equal(result.sourceSizePx, 600);
+	assert.equal(result.candidate.source.value, 'wide-2x.webp');
+	assert.equal(result.density, 1600 / 600);
+	assert.equal(result.candidates.length, 2);
+	assert.equal(selectPictureSource(picture, {environment: phone, supportedTypes: []}).sourceSizePx, 375);
+});
+
+test('skips sources without candidates, or with an invalid media or type', () => {
+	const model = parsePicture({
+		sources: [
+			{},
+			{srcset: ''},
+			{srcset: 'a foo'},
+			{srcset: 'b.jpg', media: 'screen and'},
+			{srcset: 'c.jpg', type: 'image jpeg'},
+			{srcset: 'd.jpg', media: '', type: 'image/jpeg'},
+		],
+	});
+	assert.deepEqual(selected(model, {environment: desktop}), ['source', 5, 'd.jpg']);
+});
+
+test('the src of the img', () => {
+	const select = img => selected(parsePicture({img}), {environment: desktop});
+	assert.deepEqual(select({src: 'a.jpg'}), ['img', null, 'a.jpg']);
+	assert.deepEqual(select({src: 'a.jpg', srcset: 'b.jpg 1x'}), ['img', null, 'b.jpg']);
+	assert.deepEqual(select({src: 'a.jpg', srcset: 'b.jpg 2x'}), ['img', null, 'a.jpg']);
+	assert.deepEqual(select({src: 'a.jpg', srcset: 'b.jpg 2000w'}), ['img', null, 'b.jpg']);
+	assert.deepEqual(select({src: 'a.jpg', srcset: 'b.jpg'}), ['img', null, 'b.jpg']);
+	assert.equal(select({src: ''}), null);
+	assert.equal(select({}), null);
+	assert.equal(selectPictureSource(parsePicture({}), {environment: desktop}), null);
+});
+
+test('requires an environment', () => {
+	assert.throws(() => selectPictureSource(picture), {name: 'TypeError', message: 'An environment is needed to select a picture source.'});
+});
@@ -0,0 +1,84 @@
+/**
+ * URL Resolution
+ *
+ * Resolves the urls of image candidates the way a document does, with the URL
+ * parser: https://url.spec.whatwg.org/#concept-url-parser
+ */
+
+import { parseSrcsetLoose, SrcsetParseError } from "./index.js";
+import { candidateIndexes } from "./candidate-index.js";
+
+/**
+ * Parses url against base.
+ * Returns a URL, or undefined if it can't be parsed.
+ */
+function parseUrl(url, base) {
+  try {
+    return new URL(url, base);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Works out the base URL of a document from its URL and the href of its first
+ * <base> element, if any. "If [parsing the href] is failure, then set url to
+ * fallback base URL", like a browser.
+ * Returns a URL.
+ */
+function documentBaseUrl(baseUrl, baseHref) {
+  if (baseUrl === undefined) {
+    throw new TypeError("A base URL is needed to resolve srcset URLs.");
+  }
+
+  const base = parseUrl(baseUrl);
+
+  if (!base) {
+    throw new TypeError(`Base URL "${baseUrl}" must be an absolute URL.`);
+  }
+
+  return (baseHref !== undefined && parseUrl(baseHref, base)) || base;
+}
+
+/**
+ * Parses a srcset like parseSrcsetLoose, and adds the absolute URL of each
+ * candidate as `href`. Urls that can't be parsed get no href, and an
+ * INVALID_URL error each.
+ * @returns {candidates, dropped, errors}
+ */
+function resolveSrcset(input, options = {}) {
+  const { baseUrl, baseHref } = options;
+  const base = documentBaseUrl(baseUrl, baseHref);
+  const { candidates, dropped } = parseSrcsetLoose(input);
+  const errors = [];
+  const indexes = candidateIndexes({ candidates, dropped });
+
+  return {
+    candidates: candidates.map((candidate) => {
+      const url = parseUrl(candidate.source.value, base);
+
+      if (!url) {
+        errors.push(
+          new SrcsetParseError(
+            "INVALID_URL",
+            `Invalid URL "${candidate.source.value}".`,
+            {
+              input,
+              startOffset: candidate.source.startOffset,
+              endOffset: candidate.source.endOffset,
+              candidateIndex: indexes.get(candidate),
+            }
+          )
+        );
+
+        return candidate;
+      }
+
+      return { ...candidate, href: url.href };
+    }),
+    dropped,
+    errors,
+  };
+}
+
+export { resolveSrcset };
@@ -0,0 +1,66 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {resolveSrcset, SrcsetParseError} from './index.js';
+
+const baseUrl = 'https://example.com/blog/post.html';
+const hrefs = (input, options) => resolveSrcset(input, options).candidates.map(({href}) => href);
+
+test('relative URLs', () => {
+	assert.deepEqual(hrefs('a.jpg 1x, ../b.jpg 2x, /c.jpg 3x, ?d 4x, #e 5x', {baseUrl}), [
+		'https://example.com/blog/a.jpg',
+		'https://example.com/b.jpg',
+		'https://example.com/c.jpg',
+		'https://example.com/blog/post.html?d',
+		'https://example.com/blog/post.html#e',
+	]);
+});
+
+test('absolute URLs', () => {
+	assert.deepEqual(hrefs('//cdn.example/a.jpg 1x, http://other.example/b.jpg 2x, data:image/gif;base64,R0lGOD 3x', {baseUrl}), [
+		'https://cdn.example/a.jpg',
+		'http://other.example/b.jpg',
+		'data:image/gif;base64,R0lGOD',
+	]);
+});
+
+test('URLs are normalized by the URL parser', () => {
+	assert.deepEqual(hrefs('./a%20b/../c\\d.jpg', {baseUrl: 'HTTPS://EXAMPLE.com:443/x'}), ['https://example.com/c/d.jpg']);
+	assert.deepEqual(hrefs('é.jpg', {baseUrl}), ['https://example.com/blog/%C3%A9.jpg']);
+});
+
+test('base href', () => {
+	assert.deepEqual(hrefs('a.jpg', {baseUrl, baseHref: '/static/'}), ['https://example.com/static/a.jpg']);
+	assert.deepEqual(hrefs('a.jpg', {baseUrl, baseHref: 'https://cdn.example/img/'}), ['https://cdn.example/img/a.jpg']);
+	assert.deepEqual(hrefs('a.jpg', {baseUrl, baseHref: 'http://['}), ['https://example.com/blog/a.jpg']);
+	assert.deepEqual(hrefs('a.jpg', {baseUrl: new URL(baseUrl)}), ['https://example.com/blog/a.jpg']);
+});
+
+test('raw values and offsets are kept', () => {
+	const {candidates} = resolveSrcset('a.jpg 100w, b.jpg 200w', {baseUrl});
+	assert.deepEqual(candidates[1], {
+		source: {value: 'b.jpg', startOffset: 12, endOffset: 17},
+		width: {value: 200, startOffset: 18, endOffset: 22},
+		startOffset: 12,
+		endOffset: 22,
+		href: 'https://example.com/blog/b.jpg',
+	});
+});
+
+test('unparseable URLs are reported', () => {
+	const {candidates, dropped, errors} = resolveSrcset('a.jpg foo, b.jpg 1x, http://[::1 2x', {baseUrl});
+	assert.equal(dropped.length, 1);
+	assert.deepEqual(candidates.map(({href}) => href), ['https://example.com/blog/b.jpg', undefined]);
+	assert.equal(errors.length, 1);
+	assert.ok(errors[0] instanceof SrcsetParseError);
+	assert.equal(errors[0].code, 'INVALID_URL');
+	assert.equal(errors[0].message, 'Invalid URL "http://[::1".');
+	assert.equal(errors[0].startOffset, 21);
+	assert.equal(errors[0].endOffset, 32);
+	assert.equal(errors[0].candidateIndex, 2);
+	assert.equal(hrefs('http:// 1x', {baseUrl})[0], undefined);
+});
+
+test('invalid base URL', () => {
+	assert.throws(() => resolveSrcset('a.jpg'), {name: 'TypeError', message: 'A base URL is needed to resolve srcset URLs.'});
+	assert.throws(() => resolveSrcset('a.jpg', {baseUrl: '/relative'}), {name: 'TypeError', message: 'Base URL "/relative" must be an absolute URL.'});
+});
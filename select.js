@@ -0,0 +1,132 @@
+/**
+ * Image Source Selection
+ *
+ * Predicts which image candidate a browser picks, following the reference
+ * algorithm at:
+ * https://html.spec.whatwg.org/multipage/images.html#select-an-image-source
+ *
+ * Comments in quotes are copied from the spec.
+ */
+
+/**
+ * Gives every candidate a pixel density, and flags the ones with the same
+ * density as an earlier one, which a browser ignores. This is the "normalise
+ * the source densities" step, followed by the removal of duplicates.
+ * sourceSizePx is only needed when there are width descriptors.
+ * Returns an array of {candidate, density, duplicate}, in the same order as
+ * candidates.
+ */
+function normalizeDensities(candidates, sourceSizePx) {
+  const seen = new Set();
+
+  return candidates.map((candidate) => {
+    let density;
+
+    // "If the image source has a pixel density descriptor, continue to the
+    // next image source."
+    if (candidate.density) {
+      density = candidate.density.value;
+    }
+    // "Otherwise, if the image source has a width descriptor, replace the
+    // width descriptor with a pixel density descriptor with a value of the
+    // width descriptor value divided by source size and a unit of x."
+    else if (candidate.width) {
+      if (!(sourceSizePx >= 0)) {
+        throw new TypeError(
+          "A source size is needed for candidates with a width descriptor."
+        );
+      }
+
+      // (A source size of zero, like from sizes="0px", makes every one of these
+      // densities infinite, so only the first candidate with a width
+      // descriptor is left once the duplicates are removed)
+      density = candidate.width.value / sourceSizePx;
+    }
+    // "Otherwise, give the image source a pixel density descriptor of 1x."
+    else {
+      density = 1;
+    }
+
+    // "If an entry b in sourceSet has the same associated pixel density
+    // descriptor as an earlier entry a in sourceSet, then remove entry b."
+    const duplicate = seen.has(density);
+    seen.add(density);
+
+    return { candidate, density, duplicate };
+  });
+}
+
+/**
+ * Ways of choosing one of the candidates, sorted by ascending density, for a
+ * device pixel ratio. "In an implementation-defined manner, choose one image
+ * source from sourceSet."
+ */
+const selectionStrategies = {
+  // The smallest density that covers the device pixel ratio, or the largest
+  // one if none does. (What Firefox and Safari do)
+  "smallest-above"(entries, devicePixelRatio) {
+    return (
+      entries.find(({ density }) => density >= devicePixelRatio) ||
+      entries[entries.length - 1]
+    );
+  },
+
+  // Like smallest-above, but takes the density below instead when the device
+  // pixel ratio is under the geometric mean of the two. (What Chromium does)
+  "geometric-mean"(entries, devicePixelRatio) {
+    const index = entries.findIndex(
+      ({ density }) => density >= devicePixelRatio
+    );
+
+    if (index === -1) {
+      return entries[entries.length - 1];
+    }
+
+    if (
+      index > 0 &&
+      Math.sqrt(entries[index - 1].density * entries[index].density) >
+        devicePixelRatio
+    ) {
+      return entries[index - 1];
+    }
+
+    return entries[index];
+  },
+};
+
+/**
+ * Selects the candidate a browser would request.
+ * `strategy` is the name of one of the selectionStrategies, or a function
+ * taking the candidates sorted by ascending density and the device pixel
+ * ratio, and returning one of them.
+ * @returns {candidate, density, candidates}, or null if there are no
+ * candidates.
+ */
+function selectCandidate(candidates, options = {}) {
+  const {
+    devicePixelRatio = 1,
+    sourceSizePx,
+    strategy = "smallest-above",
+  } = options;
+  const choose =
+    typeof strategy === "function" ? strategy : selectionStrategies[strategy];
+
+  if (!choose) {
+    throw new TypeError(`Unknown selection strategy "${strategy}".`);
+  }
+
+  const normalized = normalizeDensities(candidates, sourceSizePx);
+  const entries = normalized
+    .filter(({ duplicate }) => !duplicate)
+    .sort((a, b) => a.density - b.density);
+
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const { candidate, density } = choose(entries, devicePixelRatio);
+
+  return { candidate, density, candidates: normalized };
+}
+
+export { normalizeDensities, selectCandidate, selectionStrategies };
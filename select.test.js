@@ -0,0 +1,82 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import parseSrcset, {normalizeDensities, selectCandidate, selectionStrategies} from './index.js';
+
+const selectedUrl = (srcset, options) => selectCandidate(parseSrcset(srcset), options).candidate.source.value;
+
+test('density descriptors', () => {
+	const srcset = 'a.jpg, b.jpg 1.5x, c.jpg 2x';
+	assert.equal(selectedUrl(srcset), 'a.jpg');
+	assert.equal(selectedUrl(srcset, {devicePixelRatio: 1.2}), 'b.jpg');
+	assert.equal(selectedUrl(srcset, {devicePixelRatio: 2}), 'c.jpg');
+	assert.equal(selectedUrl(srcset, {devicePixelRatio: 3}), 'c.jpg');
+});
+
+test('width descriptors use the source size', () => {
+	const srcset = 'a.jpg 320w, b.jpg 640w, c.jpg 1280w';
+	assert.equal(selectedUrl(srcset, {sourceSizePx: 320}), 'a.jpg');
+	assert.equal(selectedUrl(srcset, {sourceSizePx: 320, devicePixelRatio: 2}), 'b.jpg');
+	assert.equal(selectedUrl(srcset, {sourceSizePx: 500}), 'b.jpg');
+	assert.equal(selectedUrl(srcset, {sourceSizePx: 1000, devicePixelRatio: 2}), 'c.jpg');
+	assert.throws(() => selectCandidate(parseSrcset(srcset)), TypeError);
+});
+
+test('effective densities', () => {
+	const result = selectCandidate(parseSrcset('a.jpg 400w, b.jpg 800w, c.jpg 800w'), {sourceSizePx: 400});
+	assert.equal(result.density, 1);
+	assert.deepEqual(
+		result.candidates.map(({candidate, density, duplicate}) => [candidate.source.value, density, duplicate]),
+		[['a.jpg', 1, false], ['b.jpg', 2, false], ['c.jpg', 2, true]]
+	);
+});
+
+test('a source size of zero', () => {
+	const result = selectCandidate(parseSrcset('a.jpg 100w, b.jpg 200w'), {sourceSizePx: 0, devicePixelRatio: 2});
+	assert.equal(result.candidate.source.value, 'a.jpg');
+	assert.equal(result.density, Number.POSITIVE_INFINITY);
+	assert.deepEqual(result.candidates.map(({duplicate}) => duplicate), [false, true]);
+	assert.equal(selectedUrl('a.jpg 1x, b.jpg 100w, c.jpg 2x', {sourceSizePx: 0, devicePixelRatio: 3}), 'b.jpg');
+});
+
+test('duplicate densities keep the first candidate', () => {
+	assert.equal(selectedUrl('a.jpg 2x, b.jpg 2x', {devicePixelRatio: 2}), 'a.jpg');
+	assert.equal(selectedUrl('a.jpg, b.jpg 1x'), 'a.jpg');
+});
+
+test('strategies', () => {
+	const srcset = 'a.jpg 1x, b.jpg 2x';
+	assert.equal(selectedUrl(srcset, {devicePixelRatio: 1.3}), 'b.jpg');
+	assert.equal(selectedUrl(srcset, {devicePixelRatio: 1.3, strategy: 'geometric-mean'}), 'a.jpg');
+	assert.equal(selectedUrl(srcset, {devicePixelRatio: 1.5, strategy: 'geometric-mean'}), 'b.jpg');
+	assert.equal(selectedUrl(srcset, {devicePixelRatio: 1.3, strategy: entries => entries[0]}), 'a.jpg');
+	assert.deepEqual(Object.keys(selectionStrategies), ['smallest-above', 'geometric-mean']);
+	assert.throws(() => selectCandidate(parseSrcset(srcset), {strategy: 'foo'}), TypeError);
+});
+
+test('no candidates', () => {
+	assert.equal(selectCandidate([]), null);
+});
+
+test('normalizeDensities', async () => {
+	await test('every candidate gets a density', () => {
+		const candidates = parseSrcset('a.jpg, b.jpg 1.5x, c.jpg 2x');
+		assert.deepEqual(normalizeDensities(candidates), [
+			{candidate: candidates[0], density: 1, duplicate: false},
+			{candidate: candidates[1], density: 1.5, duplicate: false},
+			{candidate: candidates[2], density: 2, duplicate: false}
+		]);
+	});
+
+	await test('width descriptors are divided by the source size', () => {
+		const candidates = parseSrcset('a.jpg 300w 200h, b.jpg 600w, c.jpg 900w');
+		assert.deepEqual(normalizeDensities(candidates, 300).map(({density}) => density), [1, 2, 3]);
+		assert.throws(() => normalizeDensities(candidates), TypeError);
+	});
+
+	await test('duplicates are flagged, not removed', () => {
+		const candidates = parseSrcset('a.jpg, b.jpg 1x, c.jpg 200w');
+		const normalized = normalizeDensities(candidates, 200);
+		assert.deepEqual(normalized.map(({duplicate}) => duplicate), [false, true, true]);
+		assert.equal(normalized[2].candidate, candidates[2]);
+	});
+});
@@ -0,0 +1,461 @@
+/**
+ * Sizes Parser
+ *
+ * JS Parser for the string value that appears in markup <img sizes="here">
+ *
+ * Based on the reference algorithm at:
+ * https://html.spec.whatwg.org/multipage/images.html#parsing-a-sizes-attribute
+ *
+ * Comments in quotes are copied from the spec.
+ */
+
+import { SrcsetParseError } from "./index.js";
+
+// (Don't use \s, to avoid matching non-breaking space)
+// (Sticky, to match at lastIndex without copying the rest of the input)
+// eslint-disable-next-line no-control-regex
+const regexLeadingSpaces = /[ \t\n\r\u000c]+/y;
+// (Characters that end a run of ident, number or dimension characters)
+// eslint-disable-next-line no-control-regex
+const regexLeadingTokenCharacters = /[^ \t\n\r\u000c,()[\]{}"'/]+/y;
+const regexDimension =
+  /^\+?(?:[0-9]+|[0-9]*\.[0-9]+)(?:[eE][+-]?[0-9]+)?([a-zA-Z]+)$/;
+const regexZero = /^[+-]?(?:0+|0*\.0+)(?:[eE][+-]?[0-9]+)?$/;
+
+const lengthUnits = new Set([
+  "px",
+  "em",
+  "rem",
+  "ex",
+  "rex",
+  "ch",
+  "rch",
+  "ic",
+  "ric",
+  "cap",
+  "rcap",
+  "lh",
+  "rlh",
+  "vw",
+  "vh",
+  "vi",
+  "vb",
+  "vmin",
+  "vmax",
+  "svw",
+  "svh",
+  "svi",
+  "svb",
+  "svmin",
+  "svmax",
+  "lvw",
+  "lvh",
+  "lvi",
+  "lvb",
+  "lvmin",
+  "lvmax",
+  "dvw",
+  "dvh",
+  "dvi",
+  "dvb",
+  "dvmin",
+  "dvmax",
+  "cm",
+  "mm",
+  "q",
+  "in",
+  "pt",
+  "pc",
+]);
+
+const mathFunctions = new Set(["calc", "min", "max", "clamp"]);
+
+const closingBrackets = { "(": ")", "[": "]", "{": "}" };
+
+/**
+ * Splits input into CSS component values: whitespace (including comments),
+ * commas, strings, simple blocks, functions, and runs of other characters.
+ * This is just enough of CSS syntax to find the commas that separate sizes
+ * and the last component value of each of them.
+ * Returns an array of {type, value, startOffset, endOffset}.
+ */
+function tokenize(input) {
+  const components = [];
+  let position = 0;
+
+  function push(type, startOffset) {
+    components.push({
+      type,
+      value: input.slice(startOffset, position),
+      startOffset,
+      endOffset: position,
+    });
+  }
+
+  // Consumes up to and including the closing bracket matching the one at
+  // position, or up to the end of input if it is never closed.
+  function consumeBlock() {
+    const stack = [closingBrackets[input[position]]];
+    position += 1;
+
+    while (position < input.length && stack.length > 0) {
+      const c = input[position];
+
+      if (c === '"' || c === "'") {
+        consumeString();
+        continue;
+      }
+
+      if (closingBrackets[c]) {
+        stack.push(closingBrackets[c]);
+      } else if (c === stack[stack.length - 1]) {
+        stack.pop();
+      }
+
+      position += 1;
+    }
+  }
+
+  function consumeString() {
+    const quote = input[position];
+    position += 1;
+
+    while (position < input.length && input[position] !== quote) {
+      position += input[position] === "\\" ? 2 : 1;
+    }
+
+    position = Math.min(position + 1, input.length);
+  }
+
+  // Consumes the characters matched by the sticky regEx at position.
+  // Returns whether there were any.
+  function consume(regEx) {
+    regEx.lastIndex = position;
+
+    if (!regEx.test(input)) {
+      return false;
+    }
+
+    position = regEx.lastIndex;
+    return true;
+  }
+
+  while (position < input.length) {
+    const startOffset = position;
+    const c = input[position];
+
+    if (consume(regexLeadingSpaces)) {
+      push("whitespace", startOffset);
+    } else if (input.startsWith("/*", position)) {
+      const end = input.indexOf("*/", position + 2);
+      position = end === -1 ? input.length : end + 2;
+      push("whitespace", startOffset);
+    } else if (c === ",") {
+      position += 1;
+      push("comma", startOffset);
+    } else if (c === '"' || c === "'") {
+      consumeString();
+      push("string", startOffset);
+    } else if (closingBrackets[c]) {
+      consumeBlock();
+      push("block", startOffset);
+    } else if (consume(regexLeadingTokenCharacters)) {
+      if (input[position] === "(") {
+        consumeBlock();
+        push("function", startOffset);
+      } else {
+        push("token", startOffset);
+      }
+    } else {
+      // (A lone closing bracket or slash)
+      position += 1;
+      push("token", startOffset);
+    }
+  }
+
+  return components;
+}
+
+/**
+ * Tells whether a component value is a valid non-negative
+ * <source-size-value>: a length, a math function, or auto.
+ * Returns an error code, or undefined if it is valid.
+ */
+function checkSourceSizeValue(component) {
+  const { type, value } = component;
+
+  if (type === "function") {
+    const name = value.slice(0, value.indexOf("(")).toLowerCase();
+
+    // "Any CSS function other than the math functions is invalid."
+    return mathFunctions.has(name) ? undefined : "INVALID_SIZE_VALUE";
+  }
+
+  if (type !== "token") {
+    return "INVALID_SIZE_VALUE";
+  }
+
+  if (value.toLowerCase() === "auto" || regexZero.test(value)) {
+    return;
+  }
+
+  if (value.startsWith("-") && regexDimension.test(value.slice(1))) {
+    return "NEGATIVE_SIZE_VALUE";
+  }
+
+  const match = regexDimension.exec(value);
+
+  if (!match || !lengthUnits.has(match[1].toLowerCase())) {
+    return "INVALID_SIZE_VALUE";
+  }
+}
+
+/**
+ * Tells whether component values (without whitespace) form a
+ * <media-condition>: a parenthesized condition, optionally preceded by "not",
+ * or several joined by all "and" or all "or".
+ * Returns a boolean.
+ */
+function isMediaCondition(components) {
+  const keyword = (component) =>
+    component.type === "token" ? component.value.toLowerCase() : undefined;
+  const isCondition = (component) =>
+    component.type === "block" && component.value[0] === "(";
+
+  if (keyword(components[0]) === "not") {
+    return components.length === 2 && isCondition(components[1]);
+  }
+
+  if (components.length % 2 === 0 || !isCondition(components[0])) {
+    return false;
+  }
+
+  // (Every other component is the same "and" or "or")
+  for (let i = 1; i < components.length; i += 2) {
+    const combinator = keyword(components[i]);
+
+    if (
+      (combinator !== "and" && combinator !== "or") ||
+      combinator !== keyword(components[1]) ||
+      !isCondition(components[i + 1])
+    ) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Runs the parsing algorithm.
+ * When `recover` is true, invalid sizes are dropped and collected the way a
+ * browser would skip them, instead of throwing.
+ * Returns {sizes, dropped}.
+ */
+function parse(input, recover) {
+  // (The sizes a browser may pick from, and the ones it skips)
+  const sizes = [];
+  const dropped = [];
+
+  // 1. "Let unparsed sizes list be the result of parsing a comma-separated list
+  //    of component values from the value of element's sizes attribute."
+  //    (Each item also keeps the comma that ends it, if any, for offsets)
+  const unparsedSizesList = [{ components: [] }];
+
+  for (const component of tokenize(input)) {
+    const unparsedSize = unparsedSizesList[unparsedSizesList.length - 1];
+
+    if (component.type === "comma") {
+      unparsedSize.comma = component;
+      unparsedSizesList.push({ components: [] });
+    } else if (component.type !== "whitespace") {
+      unparsedSize.components.push(component);
+    }
+  }
+
+  if (unparsedSizesList.every(({ components }) => components.length === 0)) {
+    if (recover) {
+      return { sizes, dropped };
+    }
+
+    throw new SrcsetParseError(
+      "EMPTY_INPUT",
+      "Must contain one or more source sizes.",
+      {
+        input,
+        startOffset: 0,
+        endOffset: input.length,
+        candidateIndex: null,
+      }
+    );
+  }
+
+  // (Set once a size without a media condition is found; no later size is
+  // ever used)
+  let defaultSize;
+
+  // Throws error, or when recovering, skips the size from startOffset to
+  // endOffset like a browser does.
+  function drop(error, startOffset, endOffset) {
+    if (!recover) {
+      throw error;
+    }
+
+    dropped.push({ startOffset, endOffset, error });
+  }
+
+  // 3. "For each unparsed size in unparsed sizes list:"
+  unparsedSizesList.forEach(({ components, comma }, index) => {
+    // 3.1. "Remove all consecutive <whitespace-token>s from the end of unparsed
+    //      size. If unparsed size is now empty, that is a parse error;
+    //      continue."
+    //      (Whitespace is already left out. The error is about the comma that
+    //      ends the empty size, or for a trailing comma, the one before it)
+    if (components.length === 0) {
+      const extraComma = comma || unparsedSizesList[index - 1].comma;
+      const error = new SrcsetParseError(
+        "EXTRA_COMMA",
+        comma
+          ? "Unexpected comma between source sizes."
+          : "Unexpected comma after the last source size.",
+        {
+          input,
+          startOffset: extraComma.startOffset,
+          endOffset: extraComma.endOffset,
+          candidateIndex: index,
+        }
+      );
+
+      drop(error, extraComma.startOffset, extraComma.endOffset);
+      return;
+    }
+
+    const first = components[0];
+    const last = components[components.length - 1];
+
+    // (Where this size starts and ends, including its separating comma)
+    const { startOffset } = first;
+    const endOffset = comma ? comma.endOffset : last.endOffset;
+
+    function fail(code, message, component) {
+      const error = new SrcsetParseError(code, message, {
+        input,
+        startOffset: component.startOffset,
+        endOffset: component.endOffset,
+        candidateIndex: index,
+      });
+
+      drop(error, startOffset, endOffset);
+    }
+
+    // 3.2. "If the last component value in unparsed size is a valid
+    //      non-negative <source-size-value>, then set size to its value and
+    //      remove the component value from unparsed size. Otherwise, there is
+    //      a parse error; continue."
+    const code = checkSourceSizeValue(last);
+
+    if (code) {
+      fail(
+        code,
+        code === "NEGATIVE_SIZE_VALUE"
+          ? `Source size value "${last.value}" must not be negative.`
+          : `Invalid source size value "${last.value}".`,
+        last
+      );
+
+      return;
+    }
+
+    const mediaComponents = components.slice(0, -1);
+    const isAuto = last.value.toLowerCase() === "auto";
+
+    // 3.3. "If size is auto, and img allows auto-sizes, and this is the first
+    //      entry in unparsed sizes list, then return size."
+    //      (auto is only valid on its own, as the first size)
+    if (isAuto && (index > 0 || mediaComponents.length > 0)) {
+      fail(
+        "MISPLACED_AUTO",
+        `"auto" must be the first source size, without a media condition.`,
+        last
+      );
+
+      return;
+    }
+
+    if (defaultSize) {
+      fail(
+        "UNREACHABLE_SIZE",
+        "Source sizes after one without a media condition are never used.",
+        first
+      );
+
+      return;
+    }
+
+    const sourceSize = {};
+
+    // 3.4. "Remove all consecutive <whitespace-token>s from the end of
+    //      unparsed size. If unparsed size is now empty: [...] If size is not
+    //      auto, then return size."
+    // 3.5. "Parse the remaining component values in unparsed size as a
+    //      <media-condition>. If it does not parse correctly [...] continue."
+    if (mediaComponents.length > 0) {
+      const media = {
+        value: input.slice(
+          mediaComponents[0].startOffset,
+          mediaComponents[mediaComponents.length - 1].endOffset
+        ),
+        startOffset: mediaComponents[0].startOffset,
+        endOffset: mediaComponents[mediaComponents.length - 1].endOffset,
+      };
+
+      if (!isMediaCondition(mediaComponents)) {
+        fail(
+          "INVALID_MEDIA_CONDITION",
+          `Invalid media condition "${media.value}".`,
+          media
+        );
+
+        return;
+      }
+
+      sourceSize.media = media;
+    } else if (!isAuto) {
+      defaultSize = sourceSize;
+    }
+
+    sourceSize.size = {
+      value: last.value,
+      startOffset: last.startOffset,
+      endOffset: last.endOffset,
+    };
+    sourceSize.startOffset = startOffset;
+    sourceSize.endOffset = endOffset;
+
+    sizes.push(sourceSize);
+  });
+
+  // 4. "Return 100vw." (Left to the consumer, when no size is used)
+  return { sizes, dropped };
+}
+
+/**
+ * Parses a sizes attribute into a list of sizes, each with an optional media
+ * condition, in the order a browser tries them.
+ * Throws a SrcsetParseError for the first invalid size.
+ * @returns Array [{media?, size, startOffset, endOffset}, ...]
+ */
+function parseSizes(input) {
+  return parse(input, false).sizes;
+}
+
+/**
+ * Parses a sizes attribute like a browser does: invalid sizes are dropped
+ * instead of failing the whole attribute.
+ * @returns {sizes, dropped}
+ */
+function parseSizesLoose(input) {
+  return parse(input, true);
+}
+
+export { parseSizes, parseSizesLoose, tokenize };
@@ -0,0 +1,104 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {parseSizes, parseSizesLoose, SrcsetParseError} from './index.js';
+
+const values = input => parseSizes(input).map(({media, size}) => [media?.value, size.value]);
+const codes = input => parseSizesLoose(input).dropped.map(({error}) => error.code);
+
+test('media conditions and sizes', () => {
+	assert.deepEqual(values('(max-width: 600px) 480px, (min-width:601px)and (orientation: landscape) calc(100vw - 2em), 800px'), [
+		['(max-width: 600px)', '480px'],
+		['(min-width:601px)and (orientation: landscape)', 'calc(100vw - 2em)'],
+		[undefined, '800px']
+	]);
+	assert.deepEqual(values('not (min-width: 40em) 100vw, (a) or (b) 0'), [
+		['not (min-width: 40em)', '100vw'],
+		['(a) or (b)', '0']
+	]);
+});
+
+test('math functions keep their commas', () => {
+	assert.deepEqual(values('(min-width: 40em) clamp(200px, 50vw, 800px), min(100px, 50vw)'), [
+		['(min-width: 40em)', 'clamp(200px, 50vw, 800px)'],
+		[undefined, 'min(100px, 50vw)']
+	]);
+});
+
+test('auto', () => {
+	assert.deepEqual(values('auto, (max-width: 30em) 100vw, 50vw'), [
+		[undefined, 'auto'],
+		['(max-width: 30em)', '100vw'],
+		[undefined, '50vw']
+	]);
+	assert.deepEqual(codes('100vw, auto'), ['MISPLACED_AUTO']);
+	assert.deepEqual(codes('(a) auto'), ['MISPLACED_AUTO']);
+});
+
+test('offsets', () => {
+	assert.deepEqual(parseSizes(' (a) 10px ,\n20em'), [
+		{
+			media: {value: '(a)', startOffset: 1, endOffset: 4},
+			size: {value: '10px', startOffset: 5, endOffset: 9},
+			startOffset: 1,
+			endOffset: 11
+		},
+		{
+			size: {value: '20em', startOffset: 12, endOffset: 16},
+			startOffset: 12,
+			endOffset: 16
+		}
+	]);
+});
+
+test('invalid sizes', () => {
+	assert.deepEqual(codes('foo'), ['INVALID_SIZE_VALUE']);
+	assert.deepEqual(codes('10%'), ['INVALID_SIZE_VALUE']);
+	assert.deepEqual(codes('10'), ['INVALID_SIZE_VALUE']);
+	assert.deepEqual(codes('attr(width)'), ['INVALID_SIZE_VALUE']);
+	assert.deepEqual(codes('(a) -10px'), ['NEGATIVE_SIZE_VALUE']);
+	assert.deepEqual(codes('screen 10px'), ['INVALID_MEDIA_CONDITION']);
+	assert.deepEqual(codes('(a) and (b) or (c) 1px'), ['INVALID_MEDIA_CONDITION']);
+	assert.deepEqual(codes('not (a) (b) 1px'), ['INVALID_MEDIA_CONDITION']);
+	assert.deepEqual(codes('100vw, (a) 50vw'), ['UNREACHABLE_SIZE']);
+});
+
+test('loose parsing keeps the valid sizes', () => {
+	const {sizes, dropped} = parseSizesLoose('(a) foo, (b) 10px, 20px');
+	assert.deepEqual(sizes.map(({size}) => size.value), ['10px', '20px']);
+	assert.equal(dropped.length, 1);
+	assert.deepEqual([dropped[0].startOffset, dropped[0].endOffset], [0, 8]);
+	assert.equal(dropped[0].error.candidateIndex, 0);
+	assert.equal(dropped[0].error.getCodeFrame(), '(a) foo, (b) 10px, 20px\n    ^^^');
+	assert.deepEqual(parseSizesLoose(' , '), {sizes: [], dropped: []});
+});
+
+test('empty source sizes', () => {
+	assert.throws(() => parseSizes('(max-width: 600px) 100vw,, 50vw'), {
+		name: 'SrcsetParseError',
+		code: 'EXTRA_COMMA',
+		message: 'Unexpected comma between source sizes.',
+		startOffset: 25,
+		endOffset: 26,
+		candidateIndex: 1,
+	});
+	assert.throws(() => parseSizes('(a) 10px, 20px, '), {
+		code: 'EXTRA_COMMA',
+		message: 'Unexpected comma after the last source size.',
+		startOffset: 14,
+		endOffset: 15,
+		candidateIndex: 2,
+	});
+	assert.throws(() => parseSizes(',20px'), {code: 'EXTRA_COMMA', startOffset: 0, endOffset: 1});
+
+	const {sizes, dropped} = parseSizesLoose('(max-width: 600px) 100vw,, 50vw,');
+	assert.deepEqual(sizes.map(({size}) => size.value), ['100vw', '50vw']);
+	assert.deepEqual(dropped.map(({startOffset, endOffset, error}) => [startOffset, endOffset, error.code]), [
+		[25, 26, 'EXTRA_COMMA'],
+		[31, 32, 'EXTRA_COMMA'],
+	]);
+});
+
+test('throws SrcsetParseError', () => {
+	assert.throws(() => parseSizes(''), {name: 'SrcsetParseError', code: 'EMPTY_INPUT'});
+	assert.throws(() => parseSizes('(a) 1px, b'), error => error instanceof SrcsetParseError && error.code === 'INVALID_SIZE_VALUE' && error.startOffset === 9);
+});
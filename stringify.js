@@ -0,0 +1,160 @@
+/**
+ * Srcset Serializer
+ *
+ * Turns image candidates back into a srcset string that parseSrcset will
+ * parse into the same candidates.
+ */
+
+// (Don't use \s, to avoid matching non-breaking space)
+// eslint-disable-next-line no-control-regex
+const regexWhitespace = /[ \t\n\r\u000c]/;
+// eslint-disable-next-line no-control-regex
+const regexAllWhitespace = /[ \t\n\r\u000c]/g;
+const regexLeadingCommas = /^,+/;
+const regexTrailingCommas = /,+$/;
+
+function percentEncode(character) {
+  const hex = character.charCodeAt(0).toString(16).toUpperCase();
+
+  return `%${hex.padStart(2, "0")}`;
+}
+
+/**
+ * Reads a descriptor that may be given as a number or as {value}.
+ * Returns the number, or undefined if absent.
+ */
+function descriptorValue(descriptor) {
+  return descriptor !== null && typeof descriptor === "object"
+    ? descriptor.value
+    : descriptor;
+}
+
+/**
+ * Makes sure url survives the splitting loop and the url collection step
+ * (steps 4 to 8 of the parsing algorithm).
+ * Returns the url, percent-encoded when escapeUrls is set.
+ */
+function serializeUrl(url, escapeUrls) {
+  if (typeof url !== "string" || url === "") {
+    throw new TypeError("Image candidate URL must be a non-empty string.");
+  }
+
+  // (Whitespace would end the url, leading commas are skipped as separators,
+  // and trailing commas are removed from the url)
+  const isAmbiguous =
+    regexWhitespace.test(url) ||
+    regexLeadingCommas.test(url) ||
+    regexTrailingCommas.test(url);
+
+  if (!isAmbiguous) {
+    return url;
+  }
+
+  if (!escapeUrls) {
+    throw new TypeError(
+      `Image candidate URL "${url}" can't be serialized without escaping.`
+    );
+  }
+
+  return url
+    .replace(regexAllWhitespace, percentEncode)
+    .replace(regexLeadingCommas, (commas) => "%2C".repeat(commas.length))
+    .replace(regexTrailingCommas, (commas) => "%2C".repeat(commas.length));
+}
+
+/**
+ * Validates descriptors with the rules of the descriptor parser, and the
+ * authoring requirement that widths and densities be greater than zero.
+ * Returns the list of descriptor strings.
+ */
+function serializeDescriptors(url, width, height, density) {
+  const descriptors = [];
+
+  if (width !== undefined) {
+    // (Larger integers aren't exact, and from 1e21 up they're printed with an
+    // exponent, which doesn't parse)
+    if (!Number.isSafeInteger(width) || width <= 0) {
+      throw new TypeError(
+        `Width of "${url}" must be a safe integer greater than zero.`
+      );
+    }
+
+    descriptors.push(`${width}w`);
+  }
+
+  if (height !== undefined) {
+    // (Larger integers aren't exact, and from 1e21 up they're printed with an
+    // exponent, which doesn't parse)
+    if (!Number.isSafeInteger(height) || height <= 0) {
+      throw new TypeError(
+        `Height of "${url}" must be a safe integer greater than zero.`
+      );
+    }
+
+    descriptors.push(`${height}h`);
+  }
+
+  if (density !== undefined) {
+    if (!Number.isFinite(density) || density <= 0) {
+      throw new TypeError(
+        `Density of "${url}" must be a finite number greater than zero.`
+      );
+    }
+
+    if (width !== undefined || height !== undefined) {
+      throw new TypeError(
+        `"${url}" can't have a density together with a width or height.`
+      );
+    }
+
+    // (String() gives the shortest form that reads back as the same number,
+    // and its exponent syntax is a valid floating-point number)
+    descriptors.push(`${String(density)}x`);
+  }
+
+  return descriptors;
+}
+
+/**
+ * Serializes the url and descriptors of one image candidate, either a
+ * Candidate object or a plain {url, width, height, density} object.
+ * Returns {url, descriptors}.
+ */
+function serializeCandidate(candidate, escapeUrls) {
+  const url = serializeUrl(
+    candidate.source ? candidate.source.value : candidate.url,
+    escapeUrls
+  );
+  const descriptors = serializeDescriptors(
+    url,
+    descriptorValue(candidate.width),
+    descriptorValue(candidate.height),
+    descriptorValue(candidate.density)
+  );
+
+  return { url, descriptors };
+}
+
+/**
+ * Serializes image candidates into a srcset string.
+ * Accepts the Candidate objects parseSrcset returns, or plain
+ * {url, width, height, density} objects.
+ * @returns string
+ */
+function stringifySrcset(candidates, options = {}) {
+  const { escapeUrls = false } = options;
+
+  if (!Array.isArray(candidates) || candidates.length === 0) {
+    throw new TypeError("Must contain one or more image candidates.");
+  }
+
+  return candidates
+    .map((candidate) => {
+      const { url, descriptors } = serializeCandidate(candidate, escapeUrls);
+
+      return [url, ...descriptors].join(" ");
+    })
+    .join(", ");
+}
+
+export { serializeCandidate, serializeUrl, stringifySrcset };
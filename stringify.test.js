@@ -0,0 +1,88 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import parseSrcset, {stringifySrcset} from './index.js';
+
+const roundTrip = candidates => parseSrcset(stringifySrcset(candidates)).map(({source, width, height, density}) => ({
+	url: source.value,
+	width: width?.value,
+	height: height?.value,
+	density: density?.value
+}));
+
+test('plain candidates', () => {
+	assert.equal(
+		stringifySrcset([{url: 'a.jpg'}, {url: 'b.jpg', density: 1.5}, {url: 'c.jpg', density: 2}]),
+		'a.jpg, b.jpg 1.5x, c.jpg 2x'
+	);
+	assert.equal(
+		stringifySrcset([{url: 'a.jpg', width: 320, height: 200}, {url: 'b.jpg', width: 640}]),
+		'a.jpg 320w 200h, b.jpg 640w'
+	);
+});
+
+test('parseSrcset output', () => {
+	const input = ' a.jpg   320w,\n\tb.jpg 2.50x ,c.jpg';
+	assert.equal(stringifySrcset(parseSrcset(input)), 'a.jpg 320w, b.jpg 2.5x, c.jpg');
+});
+
+test('canonical numbers', () => {
+	assert.equal(stringifySrcset([{url: 'a', density: 1.0}]), 'a 1x');
+	assert.equal(stringifySrcset([{url: 'a', density: 0.5}]), 'a 0.5x');
+	assert.equal(stringifySrcset([{url: 'a', density: 1e21}]), 'a 1e+21x');
+	assert.equal(stringifySrcset([{url: 'a', density: 1e-7}]), 'a 1e-7x');
+});
+
+test('large widths and heights', () => {
+	const candidates = [{url: 'a', width: Number.MAX_SAFE_INTEGER, height: Number.MAX_SAFE_INTEGER, density: undefined}];
+	assert.deepEqual(roundTrip(candidates), candidates);
+	assert.throws(() => stringifySrcset([{url: 'a', width: 1e21}]), TypeError);
+});
+
+test('invalid descriptors', () => {
+	const invalid = [
+		[],
+		[{url: 'a', width: 0}],
+		[{url: 'a', width: 1.5}],
+		[{url: 'a', width: -1}],
+		[{url: 'a', height: 0}],
+		[{url: 'a', width: 1e21}],
+		[{url: 'a', width: 100, height: 1e21}],
+		[{url: 'a', density: 0}],
+		[{url: 'a', density: -1}],
+		[{url: 'a', density: Number.NaN}],
+		[{url: 'a', density: Number.POSITIVE_INFINITY}],
+		[{url: 'a', width: 100, density: 2}],
+		[{url: 'a', height: 100, density: 2}],
+		[{url: ''}]
+	];
+	for (const candidates of invalid) {
+		assert.throws(() => stringifySrcset(candidates), TypeError, JSON.stringify(candidates));
+	}
+});
+
+test('urls that would not re-parse', () => {
+	for (const url of ['data:,', 'a b.jpg', ',a.jpg', 'a.jpg,,', 'a\tb']) {
+		assert.throws(() => stringifySrcset([{url}]), TypeError, url);
+	}
+
+	assert.equal(
+		stringifySrcset([{url: 'data:,'}, {url: 'a b.jpg', density: 2}, {url: ',c,'}], {escapeUrls: true}),
+		'data:%2C, a%20b.jpg 2x, %2Cc%2C'
+	);
+});
+
+test('round trip', () => {
+	const candidatesList = [
+		[{url: 'data:,a', density: 1}, {url: 'data:,b', density: 2}],
+		[{url: 'a,b', width: 100}, {url: '(c)', width: 200, height: 100}],
+		[{url: 'a'}, {url: 'b,c'}],
+		[{url: 'a', height: 10}],
+		[{url: 'x', density: 0.000001}]
+	];
+	for (const candidates of candidatesList) {
+		assert.deepEqual(
+			roundTrip(candidates),
+			candidates.map(({url, width, height, density}) => ({url, width, height, density}))
+		);
+	}
+});
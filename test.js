@@ -1,7 +1,8 @@
 import test from "node:test";
 import assert from "node:assert/strict";
 import he from 'he';
-import parseSrcset from './index.js';
+import parseSrcset, {checkSrcsetConformance, parseSrcsetCST, parseSrcsetLoose, SrcsetParseError} from './index.js';
+import {locate} from './location.js';
 
 // HTML Entities are much easier to troubleshoot in console.
 const encodeHtmlEntities = text => he.encode(text, {useNamedReferences: true});
@@ -295,6 +296,12 @@ for (const {groupName, testArray} of w3Ctests) {
 						parseSrcset(attrDecoded);
 					})
 				})
+				// A browser drops the bad candidates and keeps the rest.
+				await test(`${testCase.desc} (loose)`, () => {
+					const {candidates} = parseSrcsetLoose(decodeHtmlEntities(testCase.srcset));
+					const url = candidates[0] ? encodeHtmlEntities(candidates[0].source.value) : '';
+					assert.strictEqual(url, testCase.expect);
+				})
 			} else {
 				await runTest(testCase);
 			}
@@ -302,6 +309,403 @@ for (const {groupName, testArray} of w3Ctests) {
 	});
 }
 
+test('parseSrcsetLoose', async () => {
+	await test('keeps valid candidates around a bad one', () => {
+		const {candidates, dropped} = parseSrcsetLoose('a.jpg 1x, b.jpg foo, c.jpg 2x');
+		assert.deepEqual(candidates.map(candidate => candidate.source.value), ['a.jpg', 'c.jpg']);
+		assert.equal(dropped.length, 1);
+		assert.deepEqual(dropped[0].source, {value: 'b.jpg', startOffset: 10, endOffset: 15});
+		assert.equal(dropped[0].startOffset, 10);
+		assert.equal(dropped[0].endOffset, 20);
+		assert.equal(dropped[0].error.code, 'INVALID_DESCRIPTOR');
+	});
+
+	await test('empty input yields no candidates', () => {
+		assert.deepEqual(parseSrcsetLoose(''), {candidates: [], dropped: []});
+		assert.deepEqual(parseSrcsetLoose(' , '), {candidates: [], dropped: []});
+	});
+
+	await test('valid input matches parseSrcset', () => {
+		const input = 'a.jpg 100w, b.jpg 200w 100h';
+		assert.deepEqual(parseSrcsetLoose(input).candidates, parseSrcset(input));
+	});
+});
+
+test('checkSrcsetConformance', async () => {
+	const parseErrorsOf = input => checkSrcsetConformance(input).parseErrors.map(
+		({code, startOffset, endOffset, candidateIndex}) => [code, startOffset, endOffset, candidateIndex]
+	);
+
+	await test('no parse errors', () => {
+		assert.deepEqual(parseErrorsOf('a.jpg, b.jpg 2x'), []);
+		assert.deepEqual(parseErrorsOf('a.jpg 1x,b.jpg 2x,'), []);
+		assert.deepEqual(parseErrorsOf(''), []);
+	});
+
+	await test('commas collected by the splitting loop', () => {
+		assert.deepEqual(parseErrorsOf(', a.jpg'), [['EXTRA_COMMA', 0, 1, null]]);
+		assert.deepEqual(parseErrorsOf('a.jpg 1x, , ,b.jpg 2x'), [['EXTRA_COMMA', 10, 13, null]]);
+		assert.deepEqual(parseErrorsOf('a.jpg 1x,,'), [['EXTRA_COMMA', 9, 10, null]]);
+		assert.deepEqual(parseErrorsOf(' , '), [['EXTRA_COMMA', 1, 2, null]]);
+	});
+
+	await test('more than one trailing comma removed from a url', () => {
+		assert.deepEqual(parseErrorsOf('a.jpg,, b.jpg'), [['TRAILING_COMMAS', 5, 7, 0]]);
+		assert.deepEqual(parseErrorsOf('a.jpg 1x, b.jpg,,,'), [['TRAILING_COMMAS', 15, 18, 1]]);
+	});
+
+	await test('messages and code frames', () => {
+		const [extraComma, trailingCommas] = checkSrcsetConformance('a.jpg 1x,, b.jpg,, c.jpg 2x').parseErrors;
+		assert.ok(extraComma instanceof SrcsetParseError);
+		assert.equal(extraComma.message, 'Unexpected comma between image candidate strings.');
+		assert.equal(trailingCommas.message, 'More than one comma after "b.jpg".');
+		assert.equal(trailingCommas.getCodeFrame(), 'a.jpg 1x,, b.jpg,, c.jpg 2x\n                ^^');
+	});
+
+	await test('candidates match parseSrcsetLoose', () => {
+		const input = 'a.jpg 1x,, b.jpg foo,, c.jpg 2x';
+		const {parseErrors, ...result} = checkSrcsetConformance(input);
+		assert.equal(parseErrors.length, 2);
+		assert.deepEqual(result, parseSrcsetLoose(input));
+	});
+});
+
+test('parseSrcsetCST', async () => {
+	const leaves = node => node.children ? node.children.flatMap(leaves) : [node];
+	const summarize = node => node.children ? [node.type, node.children.map(summarize)] : `${node.type}:${node.value}`;
+
+	await test('tree', () => {
+		assert.deepEqual(summarize(parseSrcsetCST(' a.jpg 100w,b.jpg foo(1, 2) , ')), ['SrcsetList', [
+			'Whitespace: ',
+			['ImageCandidate', ['Url:a.jpg', 'Whitespace: ', ['Descriptor', ['Text:100w']], 'Comma:,']],
+			['ImageCandidate', ['Url:b.jpg', 'Whitespace: ', ['Descriptor', ['Text:foo', 'ParenGroup:(1, 2)']], 'Whitespace: ', 'Comma:,']],
+			'Whitespace: ',
+		]]);
+	});
+
+	await test('offsets', () => {
+		const tree = parseSrcsetCST('a.jpg 1x, b.jpg');
+		assert.deepEqual(tree.children[0].children[2], {
+			type: 'Descriptor',
+			value: '1x',
+			children: [{type: 'Text', value: '1x', startOffset: 6, endOffset: 8}],
+			startOffset: 6,
+			endOffset: 8
+		});
+		assert.deepEqual(tree.children.map(({type, startOffset, endOffset}) => [type, startOffset, endOffset]), [
+			['ImageCandidate', 0, 9],
+			['Whitespace', 9, 10],
+			['ImageCandidate', 10, 15]
+		]);
+	});
+
+	await test('trailing commas of a url', () => {
+		assert.deepEqual(summarize(parseSrcsetCST('a.jpg,,, b')).at(1)[0], ['ImageCandidate', ['Url:a.jpg', 'Comma:,', 'Comma:,', 'Comma:,']]);
+	});
+
+	await test('unclosed parens', () => {
+		const [, , descriptor] = parseSrcsetCST('a.jpg 1x(, b.jpg 2x').children[0].children;
+		assert.deepEqual(descriptor.children.map(({type, value, closed}) => [type, value, closed]), [
+			['Text', '1x', undefined],
+			['ParenGroup', '(, b.jpg 2x', false]
+		]);
+	});
+
+	await test('empty input', () => {
+		assert.deepEqual(parseSrcsetCST(''), {type: 'SrcsetList', children: [], startOffset: 0, endOffset: 0});
+	});
+
+	await test('leaves give back the input', () => {
+		const inputs = [
+			...w3Ctests.flatMap(({testArray}) => testArray.map(({srcset}) => decodeHtmlEntities(srcset))),
+			'\ta.jpg 1.5x,\n  b.jpg 320w 200h',
+			'a (b) c(d)e(f',
+		];
+		for (const input of inputs) {
+			const tree = parseSrcsetCST(input);
+			assert.equal(leaves(tree).map(({value}) => value).join(''), input);
+			for (const leaf of leaves(tree)) {
+				assert.equal(input.slice(leaf.startOffset, leaf.endOffset), leaf.value);
+			}
+		}
+	});
+});
+
+test('SrcsetParseError', async () => {
+	const parseError = input => {
+		try {
+			parseSrcset(input);
+		} catch (error) {
+			return error;
+		}
+		assert.fail(`Expected "${input}" to throw`);
+	};
+
+	await test('codes', () => {
+		const codes = {
+			'': 'EMPTY_INPUT',
+			' , ': 'EMPTY_INPUT',
+			'a.jpg foo': 'INVALID_DESCRIPTOR',
+			'a.jpg ()': 'INVALID_DESCRIPTOR',
+			'a.jpg 1x 2x': 'DUPLICATE_DESCRIPTOR',
+			'a.jpg 1w 1w': 'DUPLICATE_DESCRIPTOR',
+			'a.jpg 1w 1x': 'CONFLICTING_DESCRIPTORS',
+			'a.jpg 1x 1h': 'CONFLICTING_DESCRIPTORS',
+			'a.jpg 0w': 'ZERO_WIDTH',
+			'a.jpg 1w 0h': 'ZERO_HEIGHT',
+			'a.jpg -1x': 'NEGATIVE_DENSITY',
+			'a.jpg (1x': 'UNCLOSED_PAREN'
+		};
+		for (const [input, code] of Object.entries(codes)) {
+			const error = parseError(input);
+			assert.ok(error instanceof SrcsetParseError);
+			assert.equal(error.name, 'SrcsetParseError');
+			assert.equal(error.code, code, input);
+		}
+	});
+
+	await test('offsets and candidate index', () => {
+		const error = parseError('a.jpg 1x, b.jpg 2x foo bar');
+		assert.equal(error.startOffset, 19);
+		assert.equal(error.endOffset, 22);
+		assert.equal(error.candidateIndex, 1);
+		assert.equal(parseError('').candidateIndex, null);
+	});
+
+	await test('code frame', () => {
+		assert.equal(
+			parseError('a.jpg 1x, b.jpg 2x foo').getCodeFrame(),
+			'a.jpg 1x, b.jpg 2x foo\n                   ^^^'
+		);
+		assert.equal(
+			parseError('a.jpg 1x,\n\tb.jpg 0w').getCodeFrame(),
+			'\tb.jpg 0w\n\t      ^^'
+		);
+	});
+});
+
+test('source ranges', async () => {
+	await test('url, descriptors and candidate', () => {
+		const input = 'a.jpg  100w 50h ,b,,, c 2x ';
+		assert.deepEqual(parseSrcset(input), [
+			{
+				source: {value: 'a.jpg', startOffset: 0, endOffset: 5},
+				width: {value: 100, startOffset: 7, endOffset: 11},
+				height: {value: 50, startOffset: 12, endOffset: 15},
+				aspectRatio: 2,
+				startOffset: 0,
+				endOffset: 17
+			},
+			{
+				source: {value: 'b', startOffset: 17, endOffset: 18},
+				startOffset: 17,
+				endOffset: 21
+			},
+			{
+				source: {value: 'c', startOffset: 22, endOffset: 23},
+				density: {value: 2, startOffset: 24, endOffset: 26},
+				startOffset: 22,
+				endOffset: 26
+			}
+		]);
+	});
+
+	await test('long values', () => {
+		const url = `data:image/png;base64,${'A'.repeat(1e6)}`;
+		const [first, second] = parseSrcset(`${url} 1x, ${url},, 2x`);
+		assert.equal(first.source.value, url);
+		assert.deepEqual(second.source, {value: url, startOffset: url.length + 5, endOffset: url.length * 2 + 5});
+		assert.equal(parseSrcset(`a.jpg ${' '.repeat(1e6)}1x`)[0].density.value, 1);
+	});
+
+	await test('ranges slice back to the input', () => {
+		const input = '\ta.jpg 1.5x,\n  b.jpg 320w 200h';
+		const [first, second] = parseSrcset(input);
+		assert.equal(input.slice(first.startOffset, first.endOffset), 'a.jpg 1.5x,');
+		assert.equal(input.slice(second.startOffset, second.endOffset), 'b.jpg 320w 200h');
+		const slice = ({startOffset, endOffset}) => input.slice(startOffset, endOffset);
+		assert.deepEqual(
+			[slice(first.source), slice(first.density), slice(second.width), slice(second.height)],
+			['a.jpg', '1.5x', '320w', '200h']
+		);
+	});
+});
+
+test('html option', async () => {
+	await test('decodes like he does for the W3C cases', () => {
+		for (const {testArray} of w3Ctests) {
+			for (const {srcset} of testArray) {
+				assert.deepEqual(
+					parseSrcsetLoose(srcset, {html: true}).candidates.map(({source}) => source.value),
+					parseSrcsetLoose(decodeHtmlEntities(srcset)).candidates.map(({source}) => source.value),
+					srcset
+				);
+			}
+		}
+	});
+
+	await test('character references', () => {
+		const urlOf = input => parseSrcset(input, {html: true})[0].source.value;
+		assert.equal(urlOf('a.jpg?w=1&amp;h=2'), 'a.jpg?w=1&h=2');
+		assert.equal(urlOf('a.jpg?w=1&amp&h=2'), 'a.jpg?w=1&&h=2');
+		// (In an attribute, a reference without its semicolon followed by = or an alphanumeric stays as it is)
+		assert.equal(urlOf('a.jpg?x=1&copy=2&notit;&not'), 'a.jpg?x=1&copy=2&notit;¬');
+		assert.equal(urlOf('&#128;&#x0;&#x110000;&#xD800;&#65&#x42;&unknown;&#x;&'), '€\uFFFD\uFFFD\uFFFDAB&unknown;&#x;&');
+		assert.equal(urlOf('&Afr;&acE;'), '\u{1D504}\u223E\u0333');
+		assert.equal(parseSrcset('a.jpg&#44;,b.jpg&comma;&#x20;2x', {html: true}).length, 2);
+	});
+
+	await test('offsets point into the raw text', () => {
+		const input = '"a.jpg?w=1&amp;h=2&#x9;1x,&#10;b.jpg&Tab;2x"';
+		const [first, second] = parseSrcset(input, {html: true});
+		assert.deepEqual(first, {
+			source: {value: 'a.jpg?w=1&h=2', startOffset: 1, endOffset: 18},
+			density: {value: 1, startOffset: 23, endOffset: 25},
+			startOffset: 1,
+			endOffset: 26
+		});
+		assert.deepEqual(second, {
+			source: {value: 'b.jpg', startOffset: 31, endOffset: 36},
+			density: {value: 2, startOffset: 41, endOffset: 43},
+			startOffset: 31,
+			endOffset: 43
+		});
+		assert.equal(input.slice(first.source.startOffset, first.source.endOffset), 'a.jpg?w=1&amp;h=2');
+	});
+
+	await test('quotes', () => {
+		assert.equal(parseSrcset("'a.jpg 1x'", {html: true})[0].source.value, 'a.jpg');
+		assert.equal(parseSrcset('"a.jpg"', {html: true})[0].source.endOffset, 6);
+		assert.equal(parseSrcset('"a.jpg', {html: true})[0].source.value, '"a.jpg');
+		assert.equal(parseSrcset('"a.jpg\'', {html: true})[0].source.value, '"a.jpg\'');
+		assert.throws(() => parseSrcset('""', {html: true}), {code: 'EMPTY_INPUT', startOffset: 1, endOffset: 1});
+	});
+
+	await test('errors', () => {
+		const input = '"a&amp;b.jpg&#9;2q"';
+		assert.throws(() => parseSrcset(input, {html: true}), error => {
+			assert.equal(error.code, 'INVALID_DESCRIPTOR');
+			assert.equal(error.input, input);
+			assert.deepEqual([error.startOffset, error.endOffset], [16, 18]);
+			assert.equal(error.getCodeFrame(), `${input}\n                ^^`);
+			return true;
+		});
+		const {dropped, parseErrors} = checkSrcsetConformance('a.jpg&#44;&comma; 1x, b.jpg&#x20;foo', {html: true});
+		assert.deepEqual(parseErrors.map(({code, startOffset, endOffset}) => [code, startOffset, endOffset]), [['TRAILING_COMMAS', 5, 17]]);
+		assert.deepEqual([dropped[0].error.startOffset, dropped[0].error.endOffset], [33, 36]);
+		assert.deepEqual([dropped[0].startOffset, dropped[0].endOffset], [22, 36]);
+	});
+
+	await test('without the option, references are left as they are', () => {
+		assert.equal(parseSrcset('a.jpg?w=1&amp;h=2')[0].source.value, 'a.jpg?w=1&amp;h=2');
+	});
+});
+
+test('loc and offsetUnit options', async () => {
+	const input = '😀.jpg 1x,\r\n  é.jpg 2x,\n  ü/€.jpg 3q';
+	const rangesOf = ({startOffset, endOffset, loc}) => [startOffset, endOffset, loc];
+	const loc = (line, column, endLine, endColumn) => ({start: {line, column}, end: {line: endLine, column: endColumn}});
+
+	await test('lines and columns', () => {
+		const {candidates, dropped} = parseSrcsetLoose(input, {loc: true});
+		assert.deepEqual(candidates.map(({source, density, ...candidate}) => [rangesOf(source), rangesOf(density), rangesOf(candidate)]), [
+			[[0, 6, loc(1, 0, 1, 6)], [7, 9, loc(1, 7, 1, 9)], [0, 10, loc(1, 0, 1, 10)]],
+			[[14, 19, loc(2, 2, 2, 7)], [20, 22, loc(2, 8, 2, 10)], [14, 23, loc(2, 2, 2, 11)]],
+		]);
+		assert.deepEqual(rangesOf(dropped[0]), [26, 36, loc(3, 2, 3, 12)]);
+		assert.deepEqual(rangesOf(dropped[0].source), [26, 33, loc(3, 2, 3, 9)]);
+		assert.deepEqual(rangesOf(dropped[0].error), [34, 36, loc(3, 10, 3, 12)]);
+		assert.deepEqual(parseSrcset('a.jpg\r1x', {loc: true})[0].density.loc, loc(2, 0, 2, 2));
+	});
+
+	await test('code points', () => {
+		const {candidates, dropped} = parseSrcsetLoose(input, {loc: true, offsetUnit: 'codePoint'});
+		assert.deepEqual(rangesOf(candidates[0].source), [0, 5, loc(1, 0, 1, 5)]);
+		assert.deepEqual(rangesOf(candidates[1].density), [19, 21, loc(2, 8, 2, 10)]);
+		assert.deepEqual(rangesOf(dropped[0].error), [33, 35, loc(3, 10, 3, 12)]);
+	});
+
+	await test('UTF-8 bytes', () => {
+		const {candidates, dropped} = parseSrcsetLoose(input, {loc: true, offsetUnit: 'utf8'});
+		assert.deepEqual(rangesOf(candidates[0].source), [0, 8, loc(1, 0, 1, 8)]);
+		assert.deepEqual(rangesOf(candidates[1].source), [16, 22, loc(2, 2, 2, 8)]);
+		assert.deepEqual(rangesOf(dropped[0].error), [40, 42, loc(3, 13, 3, 15)]);
+		const bytes = new TextEncoder().encode(input);
+		assert.equal(new TextDecoder().decode(bytes.slice(candidates[1].source.startOffset, candidates[1].source.endOffset)), 'é.jpg');
+		assert.equal(parseSrcset('\uD800 1x', {offsetUnit: 'utf8'})[0].density.startOffset, 4);
+	});
+
+	await test('offsets without loc', () => {
+		const [candidate] = parseSrcset('€.jpg 2x', {offsetUnit: 'utf8'});
+		assert.deepEqual(candidate, {
+			source: {value: '€.jpg', startOffset: 0, endOffset: 7},
+			density: {value: 2, startOffset: 8, endOffset: 10},
+			startOffset: 0,
+			endOffset: 10
+		});
+		assert.equal(parseSrcset('a.jpg', {offsetUnit: 'utf16'})[0].loc, undefined);
+	});
+
+	await test('errors', () => {
+		assert.throws(() => parseSrcset('é.jpg\n  😀 1q', {loc: true, offsetUnit: 'utf8'}), error => {
+			assert.deepEqual(rangesOf(error), [9, 13, loc(2, 2, 2, 6)]);
+			assert.equal(error.getCodeFrame(), '  😀 1q\n  ^^');
+			return true;
+		});
+		const [extraComma] = checkSrcsetConformance('😀, , b', {loc: true, offsetUnit: 'codePoint'}).parseErrors;
+		assert.deepEqual(rangesOf(extraComma), [3, 4, loc(1, 3, 1, 4)]);
+		assert.throws(() => parseSrcset('a', {offsetUnit: 'bytes'}), {name: 'TypeError', message: 'Unknown offset unit "bytes", expected utf16, codePoint, utf8.'});
+	});
+
+	await test('offsets inside a surrogate pair', () => {
+		assert.throws(() => parseSrcset('a.jpg,\n😀😀 1q', {loc: true}), error => {
+			assert.deepEqual(rangesOf(error), [12, 14, loc(2, 5, 2, 7)]);
+			return true;
+		});
+		const text = 'a\n😀b';
+		assert.deepEqual(locate(text, [3, 5], 'utf16'), new Map([[3, {offset: 3, line: 2, column: 1}], [5, {offset: 5, line: 2, column: 3}]]));
+		assert.deepEqual(locate(text, [3, 5], 'codePoint'), new Map([[3, {offset: 2, line: 2, column: 0}], [5, {offset: 4, line: 2, column: 2}]]));
+		assert.deepEqual(locate(text, [3, 5], 'utf8'), new Map([[3, {offset: 2, line: 2, column: 0}], [5, {offset: 7, line: 2, column: 5}]]));
+	});
+
+	await test('with the html option', () => {
+		const [candidate] = parseSrcset('"&eacute;.jpg&#10;1x"', {html: true, loc: true, offsetUnit: 'utf8'});
+		assert.deepEqual(rangesOf(candidate.source), [1, 13, loc(1, 1, 1, 13)]);
+		assert.deepEqual(rangesOf(candidate.density), [18, 20, loc(1, 18, 1, 20)]);
+	});
+});
+
+test('strict option and aspect ratios', async () => {
+	await test('height without width', () => {
+		assert.deepEqual(parseSrcset('a.jpg 50h').map(({height}) => height.value), [50]);
+		assert.throws(() => parseSrcset('a.jpg 50h', {strict: true}), {
+			name: 'SrcsetParseError',
+			code: 'HEIGHT_WITHOUT_WIDTH',
+			message: 'Height descriptor "50h" needs a width descriptor.',
+			startOffset: 6,
+			endOffset: 9,
+			candidateIndex: 0,
+		});
+	});
+
+	await test('dropped like other invalid candidates', () => {
+		const {candidates, dropped} = parseSrcsetLoose('a.jpg 50h, b.jpg 100w 50h', {strict: true});
+		assert.deepEqual(candidates.map(({source}) => source.value), ['b.jpg']);
+		assert.deepEqual(dropped.map(({error}) => [error.code, error.startOffset, error.endOffset]), [['HEIGHT_WITHOUT_WIDTH', 6, 9]]);
+	});
+
+	await test('other errors come first', () => {
+		assert.throws(() => parseSrcset('a.jpg 50h 2x', {strict: true}), {code: 'CONFLICTING_DESCRIPTORS'});
+	});
+
+	await test('aspectRatio', () => {
+		assert.deepEqual(
+			parseSrcset('a.jpg 50h 100w, b.jpg 640w 480h, c.jpg 640w, d.jpg 50h').map(({aspectRatio}) => aspectRatio),
+			[2, 4 / 3, undefined, undefined]
+		);
+	});
+});
+
 //		tdd.test('First Test', function () {
 //			var parsed = parseSrcset('data:,a 1x');
 //			var url = parsed[0].url;
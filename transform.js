@@ -0,0 +1,157 @@
+/**
+ * Srcset Transformer
+ *
+ * Rewrites the urls of a srcset, or removes candidates, keeping the rest of
+ * the input as it was written: whitespace, line breaks and descriptors.
+ */
+
+import parseSrcset from "./index.js";
+import { serializeUrl } from "./stringify.js";
+
+/**
+ * Finds where the url and descriptors of a candidate end, before the comma
+ * that ends the candidate string, if any.
+ * Returns an offset.
+ */
+function contentEnd(candidate) {
+  return Math.max(
+    ...[candidate.source, candidate.width, candidate.height, candidate.density]
+      .filter(Boolean)
+      .map(({ endOffset }) => endOffset)
+  );
+}
+
+/**
+ * Works out the spans of input to remove for the removed candidates, with
+ * their separators: up to the next candidate that is kept, or else from the
+ * previous one (some candidate is always kept).
+ * Returns [{startOffset, endOffset, text}, ...].
+ */
+function removals(candidates, removed) {
+  const edits = [];
+  let index = 0;
+
+  while (index < candidates.length) {
+    if (!removed[index]) {
+      index += 1;
+      continue;
+    }
+
+    const first = index;
+
+    while (index < candidates.length && removed[index]) {
+      index += 1;
+    }
+
+    const previous = candidates[first - 1];
+    const next = candidates[index];
+
+    if (next) {
+      edits.push({
+        startOffset: candidates[first].startOffset,
+        endOffset: next.startOffset,
+        text: "",
+      });
+    } else {
+      edits.push({
+        startOffset: contentEnd(previous),
+        endOffset: candidates[index - 1].endOffset,
+        text: "",
+      });
+    }
+  }
+
+  return edits;
+}
+
+/**
+ * Parses a srcset like parseSrcset, and calls transform with each candidate
+ * and its index. It returns the new url of the candidate, null to remove it,
+ * or undefined to keep it as it is. Only the spans of the urls, and of the
+ * removed candidates with their separators, change.
+ * `changes` lists the spans that changed, in order, as
+ * {startOffset, endOffset, newStartOffset, newEndOffset}, and
+ * `mapOffset(offset)` maps an offset of input to the new string (offsets in a
+ * span that changed map to its start).
+ * Removing every candidate throws a TypeError, since that leaves no srcset.
+ * @returns {value, changes, mapOffset}
+ */
+function transformSrcset(input, transform, options = {}) {
+  const { escapeUrls = false } = options;
+
+  if (typeof transform !== "function") {
+    throw new TypeError("Transform must be a function.");
+  }
+
+  const candidates = parseSrcset(input);
+  const removed = [];
+  const edits = [];
+
+  for (const [index, candidate] of candidates.entries()) {
+    const url = transform(candidate, index);
+
+    if (url === null) {
+      removed[index] = true;
+    } else if (url !== undefined && url !== candidate.source.value) {
+      if (typeof url !== "string") {
+        throw new TypeError(
+          `Transform must return a string, null or undefined for "${candidate.source.value}".`
+        );
+      }
+
+      edits.push({
+        startOffset: candidate.source.startOffset,
+        endOffset: candidate.source.endOffset,
+        text: serializeUrl(url, escapeUrls),
+      });
+    }
+  }
+
+  // (Like stringifySrcset, since an empty srcset isn't valid)
+  if (removed.filter(Boolean).length === candidates.length) {
+    throw new TypeError("Transform can't remove every image candidate.");
+  }
+
+  edits.push(...removals(candidates, removed));
+  edits.sort((a, b) => a.startOffset - b.startOffset);
+
+  const changes = [];
+  let value = "";
+  let position = 0;
+
+  for (const { startOffset, endOffset, text } of edits) {
+    value += input.slice(position, startOffset);
+    changes.push({
+      startOffset,
+      endOffset,
+      newStartOffset: value.length,
+      newEndOffset: value.length + text.length,
+    });
+    value += text;
+    position = endOffset;
+  }
+
+  value += input.slice(position);
+
+  function mapOffset(offset) {
+    let delta = 0;
+
+    for (const change of changes) {
+      if (offset < change.startOffset) {
+        break;
+      }
+
+      if (offset < change.endOffset) {
+        return change.newStartOffset;
+      }
+
+      delta = change.newEndOffset - change.endOffset;
+    }
+
+    return offset + delta;
+  }
+
+  return { value, changes, mapOffset };
+}
+
+export { transformSrcset };
@@ -0,0 +1,68 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {transformSrcset} from './index.js';
+
+const input = '\n  a.jpg 1x,\n  b.jpg 2x,\n  c.jpg 3x\n';
+
+const removing = indexes => (candidate, index) => indexes.includes(index) ? null : undefined;
+
+test('rewrites urls in place', () => {
+	const {value, changes} = transformSrcset(input, ({source}) => `https://cdn.example.com/${source.value}`);
+	assert.equal(value, '\n  https://cdn.example.com/a.jpg 1x,\n  https://cdn.example.com/b.jpg 2x,\n  https://cdn.example.com/c.jpg 3x\n');
+	assert.deepEqual(changes, [
+		{startOffset: 3, endOffset: 8, newStartOffset: 3, newEndOffset: 32},
+		{startOffset: 15, endOffset: 20, newStartOffset: 39, newEndOffset: 68},
+		{startOffset: 27, endOffset: 32, newStartOffset: 75, newEndOffset: 104},
+	]);
+	assert.equal(transformSrcset('a.jpg 100w 50h,b.jpg  200w', ({source}) => source.value.replace('.jpg', '.3f2a.jpg')).value, 'a.3f2a.jpg 100w 50h,b.3f2a.jpg  200w');
+	assert.equal(transformSrcset('a.jpg,, 1x', () => 'b.jpg').value, 'b.jpg,, b.jpg');
+});
+
+test('keeps candidates', () => {
+	const {value, changes} = transformSrcset(input, ({source}) => source.value);
+	assert.equal(value, input);
+	assert.deepEqual(changes, []);
+	assert.equal(transformSrcset(input, () => undefined).value, input);
+});
+
+test('removes candidates with their separators', () => {
+	assert.equal(transformSrcset(input, removing([0])).value, '\n  b.jpg 2x,\n  c.jpg 3x\n');
+	assert.equal(transformSrcset(input, removing([1])).value, '\n  a.jpg 1x,\n  c.jpg 3x\n');
+	assert.equal(transformSrcset(input, removing([2])).value, '\n  a.jpg 1x,\n  b.jpg 2x\n');
+	assert.equal(transformSrcset(input, removing([0, 1])).value, '\n  c.jpg 3x\n');
+	assert.equal(transformSrcset(input, removing([1, 2])).value, '\n  a.jpg 1x\n');
+	assert.equal(transformSrcset(input, removing([0, 2])).value, '\n  b.jpg 2x\n');
+	assert.throws(() => transformSrcset(input, removing([0, 1, 2])), {name: 'TypeError'});
+	assert.equal(transformSrcset('a.jpg 1x, b.jpg 2x,', removing([1])).value, 'a.jpg 1x');
+	assert.equal(transformSrcset('a.jpg, b.jpg 2x', removing([1])).value, 'a.jpg');
+});
+
+test('passes the candidate and its index', () => {
+	const calls = [];
+	transformSrcset('a.jpg 100w, b.jpg 200w', (candidate, index) => {
+		calls.push([candidate.source.value, candidate.width.value, index]);
+	});
+	assert.deepEqual(calls, [['a.jpg', 100, 0], ['b.jpg', 200, 1]]);
+});
+
+test('maps offsets', () => {
+	const {value, mapOffset} = transformSrcset('a.jpg 1x, b.jpg 2x, c.jpg 3x', (candidate, index) => [ 'long-a.jpg', null, undefined][index]);
+	assert.equal(value, 'long-a.jpg 1x, c.jpg 3x');
+	// (Offsets in a span that changed map to its start)
+	assert.deepEqual([0, 2, 5, 6, 8, 10, 14, 20, 26, 28].map(mapOffset), [0, 0, 10, 11, 13, 15, 15, 15, 21, 23]);
+	assert.equal(value.slice(mapOffset(20), mapOffset(28)), 'c.jpg 3x');
+});
+
+test('escapes urls', () => {
+	assert.throws(() => transformSrcset('a.jpg 1x', () => 'my image.jpg'), {name: 'TypeError', message: 'Image candidate URL "my image.jpg" can\'t be serialized without escaping.'});
+	assert.equal(transformSrcset('a.jpg 1x', () => 'my image.jpg,', {escapeUrls: true}).value, 'my%20image.jpg%2C 1x');
+	assert.throws(() => transformSrcset('a.jpg 1x', () => ''), {name: 'TypeError', message: 'Image candidate URL must be a non-empty string.'});
+});
+
+test('invalid arguments', () => {
+	assert.throws(() => transformSrcset('a.jpg'), {name: 'TypeError', message: 'Transform must be a function.'});
+	assert.throws(() => transformSrcset('a.jpg', () => 1), {name: 'TypeError', message: 'Transform must return a string, null or undefined for "a.jpg".'});
+	assert.throws(() => transformSrcset('a 1x, b 2x', () => null), {name: 'TypeError', message: 'Transform can\'t remove every image candidate.'});
+	assert.throws(() => transformSrcset('a.jpg 1q', () => undefined), {name: 'SrcsetParseError', code: 'INVALID_DESCRIPTOR'});
+	assert.throws(() => transformSrcset('', () => undefined), {name: 'SrcsetParseError', code: 'EMPTY_INPUT'});
+});